@@ -18,8 +18,29 @@ const DEFAULT_APP_ID = process.env.ZAPIER_APP_ID ? parseInt(process.env.ZAPIER_A
 const DEFAULT_OUTPUT_DIR = path.join(process.cwd(), 'generated');
 const TRIGGER_CONFIG_PATH = path.join(process.cwd(), 'triggers-config.json');
 const ACTION_CONFIG_PATH = path.join(process.cwd(), 'actions-config.json');
+const SEARCH_CONFIG_PATH = path.join(process.cwd(), 'searches-config.json');
 const AUTH_CONFIG_PATH = path.join(process.cwd(), 'authentication-config.json');
 
+// Query parameter names that carry the page size for page-number pagination
+const PAGE_SIZE_PARAM_NAMES = ['per_page', 'page_size', 'pageSize', 'limit'];
+// Time budget for trigger pagination loops, leaving headroom under Zapier's 30-second timeout
+const DEFAULT_PAGINATION_TIME_BUDGET_SECONDS = 20;
+// Lookback window for incremental polling triggers (overlap is removed by Zapier's deduplication);
+// a day covers polling outages of up to that long
+const DEFAULT_INCREMENTAL_LOOKBACK_MINUTES = 24 * 60;
+// Item properties checked (in order) for the "updated" trigger mode's timestamp
+const UPDATED_FIELD_NAMES = ['updated_at', 'updatedAt', 'modified_at', 'modifiedAt', 'last_modified', 'lastModified', 'date_modified', 'updated'];
+// Login request body properties that receive the username (session auth)
+const SESSION_USERNAME_FIELD_NAMES = ['username', 'user_name', 'email', 'login', 'user'];
+// Login request body properties that receive the password (session auth)
+const SESSION_PASSWORD_FIELD_NAMES = ['password', 'pass', 'secret'];
+// Login response properties checked (in order) for the session token
+const SESSION_TOKEN_FIELD_NAMES = ['token', 'session_token', 'sessionToken', 'access_token', 'accessToken', 'session_id', 'sessionId', 'sessionKey', 'key'];
+// Matches {{bundle.authData.key}} references in config values (baseUrl, customHeader, OAuth2 URLs)
+const AUTH_DATA_REFERENCE_PATTERN = /\{\{\s*bundle\.authData\.([A-Za-z_$][A-Za-z0-9_$]*)\s*\}\}/g;
+// Matches ${field.path} references in a dedupeKey template
+const DEDUPE_KEY_TEMPLATE_PATTERN = /\$\{([A-Za-z_$][A-Za-z0-9_$.]*)\}/g;
+
 // Load trigger configuration file
 function parseJsonWithComments(configContent) {
   let result = '';
@@ -123,6 +144,27 @@ function escapeForFunctionString(str) {
     .replace(/\$/g, '\\$');  // Escape $ to prevent evaluation in our string
 }
 
+/**
+ * Generate a JavaScript expression for a configured string (base URL, header value)
+ * {{bundle.authData.key}} references become a template literal reading the auth field at request time
+ * (from bundle.inputData while OAuth2 exchanges the code, before authData exists)
+ */
+function generateAuthDataStringCode(str, source = 'authData') {
+  if (!str || !str.match(AUTH_DATA_REFERENCE_PATTERN)) {
+    return `'${escapeForJsString(str)}'`;
+  }
+  const parts = str.split(AUTH_DATA_REFERENCE_PATTERN);
+  if (parts.length === 3 && parts[0] === '' && parts[2] === '') {
+    // The whole string is one field (e.g. a chosen server URL)
+    return `bundle.${source}.${parts[1]}`;
+  }
+  // split() with a capture group alternates literal text and field keys
+  const code = parts.map((part, index) => (index % 2 === 1
+    ? '${bundle.' + source + '.' + part + '}'
+    : escapeForTemplate(part).replace(/\$\{/g, '\\${'))).join('');
+  return '`' + code + '`';
+}
+
 /**
  * Replace template variables (${varExpr}) with their mapped variable names (${varName})
  * Used for simple templates where variables are extracted to const declarations
@@ -156,17 +198,549 @@ function replaceTemplateVarsForNested(template) {
 }
 
 /**
- * Generate custom header code for inclusion in headers object
- * Returns empty string if no custom header is configured
+ * Generate the code that encodes requestBody for the request body content type
+ * Returns the encoding code, the `body:` option, the Content-Type header line and
+ * any require() statements the action needs
+ */
+function generateRequestBodyEncoding(contentType, options = {}) {
+  if (contentType === 'application/x-www-form-urlencoded') {
+    let code = `  // Encode the request body as application/x-www-form-urlencoded\n`;
+    code += `  const formBody = new URLSearchParams();\n`;
+    code += `  Object.entries(requestBody).forEach(([key, value]) => {\n`;
+    code += `    if (Array.isArray(value)) {\n`;
+    code += `      value.forEach((item) => formBody.append(key, String(item)));\n`;
+    code += `    } else if (value !== null && typeof value === 'object') {\n`;
+    code += `      formBody.append(key, JSON.stringify(value));\n`;
+    code += `    } else {\n`;
+    code += `      formBody.append(key, String(value));\n`;
+    code += `    }\n`;
+    code += `  });\n`;
+    return {
+      code,
+      bodyCode: 'body: formBody.toString(),',
+      contentTypeHeaderCode: `'Content-Type': 'application/x-www-form-urlencoded',`,
+      importsCode: '',
+    };
+  }
+
+  if (contentType === 'multipart/form-data') {
+    // form-data sets the multipart boundary in its own Content-Type header
+    let code = `  // Encode the request body as multipart/form-data\n`;
+    code += `  const form = new FormData();\n`;
+    code += `  Object.entries(requestBody).forEach(([key, value]) => {\n`;
+    code += `    if (Array.isArray(value)) {\n`;
+    code += `      value.forEach((item) => form.append(key, String(item)));\n`;
+    code += `    } else if (value !== null && typeof value === 'object') {\n`;
+    code += `      form.append(key, JSON.stringify(value));\n`;
+    code += `    } else {\n`;
+    code += `      form.append(key, String(value));\n`;
+    code += `    }\n`;
+    code += `  });\n`;
+    if (options.hasFiles) {
+      code += `  Object.entries(requestFiles).forEach(([key, file]) => {\n`;
+      code += `    form.append(key, file.stream, { filename: file.filename, contentType: file.contentType });\n`;
+      code += `  });\n`;
+    }
+    return {
+      code,
+      bodyCode: 'body: form,',
+      contentTypeHeaderCode: '...form.getHeaders(),',
+      importsCode: `const FormData = require('form-data');`,
+    };
+  }
+
+  // prepareRequest (lib/request.js) defaults to application/json, so only other JSON types need a header
+  return {
+    code: '',
+    bodyCode: 'body: requestBody,',
+    contentTypeHeaderCode: contentType && contentType !== 'application/json'
+      ? `'Content-Type': '${escapeForJsString(contentType)}',`
+      : '',
+    importsCode: '',
+  };
+}
+
+/**
+ * Generate the code that downloads a file input (Zapier passes files as URLs)
+ * Multipart bodies stream the file into requestFiles; other bodies send it base64-encoded
+ */
+function generateFileFieldCode(fieldKey, isMultipart) {
+  // Field keys may not be identifiers (e.g. content-file), so locals get fixed names inside the block
+  const inputCode = generateParamAccessorCode('bundle.inputData', fieldKey);
+  let code = `  if (${inputCode}) {\n`;
+  code += `    const fileResponse = await z.request({ url: ${inputCode}, raw: true });\n`;
+  if (isMultipart) {
+    code += `    // Stream the file into the multipart body\n`;
+    code += `    const fileName = new URL(${inputCode}).pathname.split('/').pop();\n`;
+    code += `    ${generateParamAccessorCode('requestFiles', fieldKey)} = {\n`;
+    code += `      stream: fileResponse.body,\n`;
+    code += `      filename: decodeURIComponent(fileName) || '${escapeForJsString(fieldKey)}',\n`;
+    code += `      contentType: fileResponse.headers.get('content-type') || 'application/octet-stream',\n`;
+    code += `    };\n`;
+  } else {
+    code += `    // Send the file contents base64-encoded\n`;
+    code += `    const fileBuffer = await fileResponse.buffer();\n`;
+    code += `    ${generateParamAccessorCode('requestBody', fieldKey)} = fileBuffer.toString('base64');\n`;
+  }
+  code += `  }\n`;
+  return code;
+}
+
+/**
+ * Generate an optional-chained accessor for a dot path (e.g. "meta.next_cursor")
+ * Segments that aren't valid identifiers use bracket notation
+ */
+function generatePathAccessorCode(root, dotPath) {
+  return dotPath.split('.').reduce((code, segment) => {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(segment)
+      ? `${code}?.${segment}`
+      : `${code}?.['${escapeForJsString(segment)}']`;
+  }, root);
+}
+
+/**
+ * Generate a property assignment target for a request parameter name
  */
-function generateCustomHeaderCode(customHeader) {
-  if (!customHeader || !customHeader.name || !customHeader.value) {
-    return '';
-  }
-  // Escape the header name and value for JavaScript
-  const headerName = escapeForJsString(customHeader.name);
-  const headerValue = escapeForJsString(customHeader.value);
-  return `      '${headerName}': '${headerValue}',\n`;
+function generateParamAccessorCode(objectName, paramName) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(paramName)
+    ? `${objectName}.${paramName}`
+    : `${objectName}['${escapeForJsString(paramName)}']`;
+}
+
+/**
+ * Detect the pagination strategy of a list endpoint from its spec
+ * A documented Link response header wins, then offset/limit, then page/per_page params
+ */
+function detectPaginationStrategy(queryParams, successResponse) {
+  const paramNames = new Set(queryParams.map(p => p.name));
+  const responseHeaders = (successResponse && successResponse.headers) || {};
+  if (Object.keys(responseHeaders).some(name => name.toLowerCase() === 'link')) {
+    return 'link';
+  }
+  if (paramNames.has('limit') && paramNames.has('offset')) {
+    return 'offset';
+  }
+  if (paramNames.has('page') && PAGE_SIZE_PARAM_NAMES.some(name => paramNames.has(name))) {
+    return 'page';
+  }
+  return null;
+}
+
+/**
+ * Find the dot path of the first matching property in a response schema
+ * Checks top-level properties, then properties of nested objects (e.g. "meta.total_pages")
+ */
+function findSchemaPropertyPath(schema, propertyNames, mapper) {
+  if (!schema) {
+    return null;
+  }
+  const resolved = schema.$ref ? (mapper.resolveRef(schema.$ref) || schema) : schema;
+  const properties = resolved.properties || {};
+  const topLevel = propertyNames.find(name => properties[name]);
+  if (topLevel) {
+    return topLevel;
+  }
+  for (const [propName, propSchema] of Object.entries(properties)) {
+    const nested = propSchema.$ref ? (mapper.resolveRef(propSchema.$ref) || propSchema) : propSchema;
+    const nestedName = nested.properties ? propertyNames.find(name => nested.properties[name]) : null;
+    if (nestedName) {
+      return `${propName}.${nestedName}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Generate the z.request call for one page of a pagination loop
+ */
+function generatePageRequestCode(method, urlCode, paramsName) {
+  return `    const response = await z.request({
+      method: '${method}',
+      url: ${urlCode},
+      params: ${paramsName},
+    });
+`;
+}
+
+/**
+ * Generate the safety limits of a polling trigger's pagination loop
+ * Returns the code declared before the loop and the check run after each page;
+ * the loop stops cleanly at maxPages/maxItems or when the time budget is used up
+ * (the results are cut to maxItems after sorting, see generateTrigger)
+ */
+function generatePaginationLimitsCode(pagination) {
+  const maxPages = pagination.maxPages || null;
+  const maxItems = pagination.maxItems || null;
+  const timeBudgetSeconds = pagination.timeBudgetSeconds !== undefined
+    ? pagination.timeBudgetSeconds
+    : DEFAULT_PAGINATION_TIME_BUDGET_SECONDS;
+
+  let setupCode = `  // Stop paginating before Zapier's 30-second timeout and keep what was fetched\n`;
+  if (timeBudgetSeconds) {
+    setupCode += `  const startTime = Date.now();\n`;
+  }
+  if (maxPages) {
+    setupCode += `  let pageCount = 0;\n`;
+  }
+
+  let checkCode = '';
+  if (maxPages) {
+    checkCode += `
+    pageCount += 1;
+    if (pageCount >= ${maxPages}) {
+      z.console.log(\`Stopped paginating after \${pageCount} pages (maxPages)\`);
+      break;
+    }`;
+  }
+  if (maxItems) {
+    checkCode += `
+    if (allResults.length >= ${maxItems}) {
+      z.console.log('Stopped paginating after ${maxItems} items (maxItems)');
+      break;
+    }`;
+  }
+  if (timeBudgetSeconds) {
+    checkCode += `
+    if (Date.now() - startTime > ${timeBudgetSeconds * 1000}) {
+      z.console.log(\`Stopped paginating after \${Date.now() - startTime}ms (time budget)\`);
+      break;
+    }`;
+  }
+  if (!checkCode) {
+    return { setupCode: '', checkCode: '' };
+  }
+  return {
+    setupCode,
+    checkCode: `
+    // Stop cleanly at the page/item caps or the time budget${checkCode}
+`,
+  };
+}
+
+/**
+ * Generate the polling loop for a configured pagination strategy
+ * - cursor: follows the next cursor from each response (or the last item's id)
+ * - link: follows the rel="next" URL of the Link response header
+ * - page: increments the page number until the last page
+ */
+function generatePaginationLoopCode(pagination, options) {
+  const { method, pageResultsCode } = options;
+  const limits = generatePaginationLimitsCode(pagination);
+  const pageSizeParam = pagination.pageSizeParam || null;
+  const pageSize = pagination.pageSize || 100;
+  const pageSizeCode = pageSizeParam
+    ? `  const pageSize = ${generateParamAccessorCode('params', pageSizeParam)} || ${pageSize};\n`
+    : '';
+  const setPageSizeCode = pageSizeParam
+    ? `    ${generateParamAccessorCode('pageParams', pageSizeParam)} = pageSize;\n`
+    : '';
+
+  if (pagination.strategy === 'link') {
+    return `  // For polling triggers, Zapier doesn't automatically paginate
+  // Follow the rel="next" URL of the Link header until the API stops returning one
+  let allResults = [];
+${limits.setupCode}  let nextUrl = url;
+${pageSizeCode}
+  // The first request sends the query params; next URLs already include them
+  let pageParams = { ...params };
+${setPageSizeCode}
+  while (nextUrl) {
+${generatePageRequestCode(method, 'nextUrl', 'pageParams')}
+    const pageResults = ${pageResultsCode};
+    allResults = allResults.concat(pageResults);
+${limits.checkCode}
+    // Link: <https://api.example.com/items?page=2>; rel="next", <...>; rel="last"
+    const nextLink = (response.headers.get('link') || '')
+      .split(',')
+      .find((part) => /rel="?next"?/.test(part));
+    const nextMatch = nextLink ? nextLink.match(/<([^>]+)>/) : null;
+    nextUrl = nextMatch ? new URL(nextMatch[1], nextUrl).toString() : null;
+    pageParams = {};
+  }
+
+  // Use allResults from pagination
+  let results = allResults;`;
+  }
+
+  if (pagination.strategy === 'page') {
+    const pageParam = pagination.pageParam || 'page';
+    const firstPage = pagination.firstPage !== undefined ? pagination.firstPage : 1;
+    let hasMoreCode;
+    if (pagination.totalPagesPath) {
+      hasMoreCode = `    // Continue until the last page reported by the API
+    const totalPages = ${generatePathAccessorCode('response.json', pagination.totalPagesPath)};
+    hasMore = pageResults.length > 0 && (totalPages ? ${firstPage === 1 ? 'page' : `page - ${firstPage} + 1`} < totalPages : ${pageSizeParam ? 'pageResults.length === pageSize' : 'true'});`;
+    } else if (pageSizeParam) {
+      hasMoreCode = `    // A short page means this was the last one
+    hasMore = pageResults.length === pageSize;`;
+    } else {
+      hasMoreCode = `    // An empty page means there are no more results
+    hasMore = pageResults.length > 0;`;
+    }
+    return `  // For polling triggers, Zapier doesn't automatically paginate
+  // Request page after page until the API reports the last page
+  let allResults = [];
+${limits.setupCode}  let page = ${firstPage};
+  let hasMore = true;
+${pageSizeCode}
+  while (hasMore) {
+    // Create a fresh params object for each page request to avoid mutating
+    const pageParams = { ...params };
+${setPageSizeCode}    ${generateParamAccessorCode('pageParams', pageParam)} = page;
+
+${generatePageRequestCode(method, 'url', 'pageParams')}
+    const pageResults = ${pageResultsCode};
+    allResults = allResults.concat(pageResults);
+${limits.checkCode}
+${hasMoreCode}
+    page += 1;
+  }
+
+  // Use allResults from pagination
+  let results = allResults;`;
+  }
+
+  let nextCursorCode;
+  if (pagination.cursorPath) {
+    nextCursorCode = `${generatePathAccessorCode('response.json', pagination.cursorPath)} || null`;
+  } else {
+    const itemField = pagination.cursorItemField || 'id';
+    nextCursorCode = `pageResults.length > 0 ? ${generatePathAccessorCode('pageResults[pageResults.length - 1]', itemField)} || null : null`;
+  }
+
+  let code = `  // For polling triggers, Zapier doesn't automatically paginate
+  // Follow the cursor returned by the API until there are no more pages
+  let allResults = [];
+${limits.setupCode}  let cursor = null;
+${pageSizeCode}
+  do {
+    // Create a fresh params object for each page request to avoid mutating
+    const pageParams = { ...params };
+${setPageSizeCode}    if (cursor) {
+      ${generateParamAccessorCode('pageParams', pagination.cursorParam)} = cursor;
+    }
+
+${generatePageRequestCode(method, 'url', 'pageParams')}
+    const pageResults = ${pageResultsCode};
+    allResults = allResults.concat(pageResults);
+${limits.checkCode}
+    // Stop when the API returns no next cursor (or repeats the current one)
+    const nextCursor = ${nextCursorCode};
+`;
+  if (pagination.hasMorePath) {
+    code += `    const hasMore = ${generatePathAccessorCode('response.json', pagination.hasMorePath)} === true;\n`;
+    code += `    cursor = hasMore && nextCursor !== cursor ? nextCursor : null;\n`;
+  } else {
+    code += `    cursor = nextCursor !== cursor ? nextCursor : null;\n`;
+  }
+  code += `  } while (cursor);
+
+  // Use allResults from pagination
+  let results = allResults;`;
+  return code;
+}
+
+/**
+ * Read a dot-path value (e.g. "meta.uuid") from an object
+ */
+function getValueAtPath(obj, dotPath) {
+  return dotPath.split('.').reduce((value, segment) => {
+    return value !== null && value !== undefined ? value[segment] : undefined;
+  }, obj);
+}
+
+/**
+ * Build the dedupe id of an item from a dedupeKey field path or template
+ * Used at generation time for the trigger sample
+ */
+function buildDedupeId(item, dedupeKey) {
+  if (!dedupeKey.includes('${')) {
+    return getValueAtPath(item, dedupeKey);
+  }
+  let hasValue = false;
+  const dedupeId = dedupeKey.replace(DEDUPE_KEY_TEMPLATE_PATTERN, (match, fieldPath) => {
+    const value = getValueAtPath(item, fieldPath);
+    if (value === null || value === undefined) {
+      return '';
+    }
+    hasValue = true;
+    return String(value);
+  });
+  // A template without any of its fields (e.g. an empty sample) has no dedupe id
+  return hasValue ? dedupeId : undefined;
+}
+
+/**
+ * Find the schema of one trigger result: the items of an array response,
+ * or of the response's array property
+ */
+function findResultItemSchema(schema, arrayProperty, mapper) {
+  const resolve = (candidate) => (candidate && candidate.$ref ? mapper.resolveRef(candidate.$ref) || candidate : candidate);
+  let resolved = resolve(schema);
+  if (!resolved) {
+    return null;
+  }
+  if (resolved.type !== 'array') {
+    const propName = arrayProperty || mapper.getArrayPropertyName(resolved);
+    resolved = propName && resolved.properties ? resolve(resolved.properties[propName]) : null;
+  }
+  return resolved && resolved.type === 'array' ? resolve(resolved.items) : null;
+}
+
+/**
+ * Generate the code that sets id on every trigger result from a dedupeKey
+ * A plain value is a field path (e.g. "uuid"); a value with ${...} is a template
+ * (e.g. "${id}-${updated_at}"). A replaced id stays available as original_id
+ */
+function generateDedupeKeyCode(dedupeKey) {
+  let dedupeIdCode;
+  if (dedupeKey.includes('${')) {
+    const literal = dedupeKey
+      .split(DEDUPE_KEY_TEMPLATE_PATTERN)
+      .map((part, index) => {
+        // split() with a capture group alternates literal text and field paths
+        if (index % 2 === 1) {
+          return `\${${generatePathAccessorCode('item', part)} ?? ''}`;
+        }
+        return part.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+      })
+      .join('');
+    dedupeIdCode = `\`${literal}\``;
+  } else {
+    dedupeIdCode = generatePathAccessorCode('item', dedupeKey);
+  }
+  return `
+  // Zapier deduplicates polling results on id, so derive it from the configured dedupe key
+  results = results.map((item) => {
+    const dedupeId = ${dedupeIdCode};
+    return item.id !== undefined && item.id !== dedupeId
+      ? { ...item, id: dedupeId, original_id: item.id }
+      : { ...item, id: dedupeId };
+  });`;
+}
+
+/**
+ * Generate the code that limits a polling trigger to recently changed records
+ * The since param is filled from a lookback window (formatted for the param's schema)
+ * and the configured sort params ask the API for the newest records first
+ */
+function generateIncrementalPollingCode(incremental, paramSchema) {
+  const lookbackMinutes = incremental.lookbackMinutes || DEFAULT_INCREMENTAL_LOOKBACK_MINUTES;
+  const schema = paramSchema || {};
+  let format = incremental.format;
+  if (!format) {
+    if (schema.format === 'date') {
+      format = 'date';
+    } else if (schema.type === 'integer' || schema.type === 'number') {
+      format = 'unix';
+    } else {
+      format = 'iso';
+    }
+  }
+  const sinceValueCode = {
+    date: 'since.toISOString().split(\'T\')[0]',
+    unix: 'Math.floor(since.getTime() / 1000)',
+    unix_ms: 'since.getTime()',
+    iso: 'since.toISOString()',
+  }[format];
+
+  let code = `  // Only request records from the last ${lookbackMinutes} minutes; Zapier deduplicates the overlap
+  // between polls. Records changed before the window are never seen, so a gap between polls longer
+  // than ${lookbackMinutes} minutes (an API or Zapier outage, a paused Zap) misses them.
+  // Loading a sample skips the window so the test step finds existing records
+  if (!bundle.meta.isLoadingSample) {
+    const since = new Date(Date.now() - ${lookbackMinutes} * 60 * 1000);
+    ${generateParamAccessorCode('params', incremental.sinceParam)} = ${sinceValueCode};
+  }
+`;
+  const sortEntries = Object.entries(incremental.sortParams || {});
+  if (sortEntries.length > 0) {
+    code += `  // Ask the API for the newest records first\n`;
+    sortEntries.forEach(([name, value]) => {
+      const valueStr = typeof value === 'string' ? `'${escapeForJsString(value)}'` : JSON.stringify(value);
+      code += `  ${generateParamAccessorCode('params', name)} = ${valueStr};\n`;
+    });
+  }
+  return code;
+}
+
+/**
+ * Generate the paging code for hidden triggers that back dynamic dropdowns
+ * Zapier requests one page at a time with bundle.meta.page (0-based) when canPaginate is set;
+ * cursor and Link header strategies keep the next page between requests in z.cursor
+ * Returns the code run before the request, the request's params option and the code run after it
+ */
+function generateDropdownPagingCode(pagination) {
+  const pageSize = pagination.pageSize || 100;
+  const pageSizeParam = pagination.pageSizeParam || null;
+  let setupCode = `  // Zapier requests the next page of dropdown choices with bundle.meta.page (0-based)\n`;
+  if (pageSizeParam) {
+    setupCode += `  const pageSize = ${generateParamAccessorCode('params', pageSizeParam)} || ${pageSize};\n`;
+    setupCode += `  ${generateParamAccessorCode('params', pageSizeParam)} = pageSize;\n`;
+  }
+
+  if (pagination.strategy === 'offset') {
+    setupCode += `  params.offset = bundle.meta.page * pageSize;\n`;
+    return { setupCode, paramsCode: 'params: params,', cursorCode: '' };
+  }
+
+  if (pagination.strategy === 'page') {
+    const firstPage = pagination.firstPage !== undefined ? pagination.firstPage : 1;
+    setupCode += `  ${generateParamAccessorCode('params', pagination.pageParam)} = ${firstPage === 0 ? '' : `${firstPage} + `}bundle.meta.page;\n`;
+    return { setupCode, paramsCode: 'params: params,', cursorCode: '' };
+  }
+
+  if (pagination.strategy === 'link') {
+    setupCode += `
+  // The previous page's rel="next" URL is kept in z.cursor and already includes the query params
+  let requestParams = params;
+  if (bundle.meta.page) {
+    const nextUrl = await z.cursor.get();
+    if (!nextUrl) {
+      return [];
+    }
+    url = nextUrl;
+    requestParams = {};
+  }
+`;
+    const cursorCode = `
+
+  // Keep the next page URL for Zapier's next dropdown page request
+  const nextLink = (response.headers.get('link') || '')
+    .split(',')
+    .find((part) => /rel="?next"?/.test(part));
+  const nextMatch = nextLink ? nextLink.match(/<([^>]+)>/) : null;
+  await z.cursor.set(nextMatch ? new URL(nextMatch[1], url).toString() : '');`;
+    return { setupCode, paramsCode: 'params: requestParams,', cursorCode };
+  }
+
+  // Cursor strategy
+  setupCode += `
+  // The previous page's next cursor is kept in z.cursor
+  if (bundle.meta.page) {
+    const cursor = await z.cursor.get();
+    if (!cursor) {
+      return [];
+    }
+    ${generateParamAccessorCode('params', pagination.cursorParam)} = cursor;
+  }
+`;
+  const nextCursorCode = pagination.cursorPath
+    ? generatePathAccessorCode('response.json', pagination.cursorPath)
+    : `results.length > 0 ? ${generatePathAccessorCode('results[results.length - 1]', pagination.cursorItemField || 'id')} : null`;
+  let cursorCode = `
+
+  // Keep the next cursor for Zapier's next dropdown page request
+  const nextCursor = ${nextCursorCode};`;
+  if (pagination.hasMorePath) {
+    cursorCode += `
+  const hasMore = ${generatePathAccessorCode('response.json', pagination.hasMorePath)} === true;
+  await z.cursor.set(hasMore && nextCursor ? String(nextCursor) : '');`;
+  } else {
+    cursorCode += `
+  await z.cursor.set(nextCursor ? String(nextCursor) : '');`;
+  }
+  return { setupCode, paramsCode: 'params: params,', cursorCode };
 }
 
 /**
@@ -259,12 +833,64 @@ function loadTriggerConfig() {
     const triggers = config.triggers || {};
     
     // Validate that all triggers have the required 'endpoint' property
+    // REST hook triggers name their subscribe/unsubscribe endpoints instead
     for (const [triggerKey, triggerConfig] of Object.entries(triggers)) {
+      if (triggerConfig.type === 'hook') {
+        if (!triggerConfig.webhook && !triggerConfig.callback) {
+          console.error(`❌ Error: Hook trigger "${triggerKey}" must specify a "webhook" (OpenAPI 3.1 webhooks) or "callback" (operation callbacks) name.`);
+          process.exit(1);
+        }
+        if (!triggerConfig.unsubscribe || !triggerConfig.unsubscribe.endpoint) {
+          console.error(`❌ Error: Hook trigger "${triggerKey}" is missing required "unsubscribe.endpoint" property.`);
+          process.exit(1);
+        }
+        if (!triggerConfig.callback && (!triggerConfig.subscribe || !triggerConfig.subscribe.endpoint)) {
+          console.error(`❌ Error: Hook trigger "${triggerKey}" is missing required "subscribe.endpoint" property.`);
+          process.exit(1);
+        }
+        continue;
+      }
       if (!triggerConfig.endpoint) {
         console.error(`❌ Error: Trigger "${triggerKey}" is missing required "endpoint" property.`);
         console.error(`   Each trigger must specify an "endpoint" property with the API path (e.g., "/categories").`);
         process.exit(1);
       }
+      if (triggerConfig.dedupeKey !== undefined && (typeof triggerConfig.dedupeKey !== 'string' || !triggerConfig.dedupeKey.trim())) {
+        console.error(`❌ Error: Trigger "${triggerKey}" has invalid "dedupeKey" (expected a field path like "uuid" or a template like "\${id}-\${updated_at}").`);
+        process.exit(1);
+      }
+      if (triggerConfig.mode !== undefined && !['new', 'updated'].includes(triggerConfig.mode)) {
+        console.error(`❌ Error: Trigger "${triggerKey}" has unknown mode "${triggerConfig.mode}" (expected "new" or "updated").`);
+        process.exit(1);
+      }
+      const incremental = triggerConfig.incremental;
+      if (incremental && !incremental.sinceParam) {
+        console.error(`❌ Error: Trigger "${triggerKey}" has "incremental" config but is missing required "incremental.sinceParam" property.`);
+        process.exit(1);
+      }
+      if (incremental && incremental.format && !['iso', 'date', 'unix', 'unix_ms'].includes(incremental.format)) {
+        console.error(`❌ Error: Trigger "${triggerKey}" has unknown incremental format "${incremental.format}" (expected "iso", "date", "unix" or "unix_ms").`);
+        process.exit(1);
+      }
+      const pagination = triggerConfig.pagination;
+      if (pagination) {
+        const strategy = pagination.strategy;
+        if (strategy && !['offset', 'cursor', 'link', 'page'].includes(strategy)) {
+          console.error(`❌ Error: Trigger "${triggerKey}" has unknown pagination strategy "${strategy}" (expected "offset", "cursor", "link" or "page").`);
+          process.exit(1);
+        }
+        for (const limitKey of ['maxPages', 'maxItems', 'timeBudgetSeconds']) {
+          const limitValue = pagination[limitKey];
+          if (limitValue !== undefined && (typeof limitValue !== 'number' || limitValue < 0)) {
+            console.error(`❌ Error: Trigger "${triggerKey}" has invalid "pagination.${limitKey}" (expected a non-negative number).`);
+            process.exit(1);
+          }
+        }
+        if (strategy === 'cursor' && !pagination.cursorParam) {
+          console.error(`❌ Error: Trigger "${triggerKey}" uses cursor pagination but is missing required "pagination.cursorParam" property.`);
+          process.exit(1);
+        }
+      }
     }
     
     return { triggers };
@@ -274,6 +900,44 @@ function loadTriggerConfig() {
   }
 }
 
+// Load search configuration file
+function loadSearchConfig() {
+  const configPath = SEARCH_CONFIG_PATH;
+  if (!fs.existsSync(configPath)) {
+    return { searches: {}, searchOrCreates: {} };
+  }
+  
+  try {
+    const configContent = fs.readFileSync(configPath, 'utf8');
+    const config = parseJsonWithComments(configContent);
+    const searches = config.searches || {};
+    const searchOrCreates = config.searchOrCreates || {};
+    
+    // Validate that all searches have the required 'endpoint' property
+    for (const [searchKey, searchConfig] of Object.entries(searches)) {
+      if (!searchConfig.endpoint) {
+        console.error(`❌ Error: Search "${searchKey}" is missing required "endpoint" property.`);
+        console.error(`   Each search must specify an "endpoint" property with the API path of a GET endpoint (e.g., "/pet/findByStatus").`);
+        process.exit(1);
+      }
+    }
+    
+    // Validate that all search-or-creates name the create action to pair with
+    for (const [searchKey, searchOrCreateConfig] of Object.entries(searchOrCreates)) {
+      if (!searchOrCreateConfig.create) {
+        console.error(`❌ Error: Search-or-create "${searchKey}" is missing required "create" property.`);
+        console.error(`   Each search-or-create must specify the key of the action to run when the search finds nothing (e.g., "addPet").`);
+        process.exit(1);
+      }
+    }
+    
+    return { searches, searchOrCreates };
+  } catch (error) {
+    console.warn(`⚠️  Warning: Could not parse search config file at ${configPath}: ${error.message}`);
+    return { searches: {}, searchOrCreates: {} };
+  }
+}
+
 // Load action configuration file
 function loadActionConfig() {
   const configPath = ACTION_CONFIG_PATH;
@@ -300,8 +964,6 @@ function loadAuthConfig() {
     // Return defaults if config doesn't exist
     return {
       testEndpoint: '/me',
-      authType: 'custom',
-      fieldKey: 'access_token',
       fieldLabel: 'API Key',
       fieldType: 'password',
       helpText: 'Enter your API key',
@@ -321,8 +983,6 @@ function loadAuthConfig() {
     // Return defaults on error
     return {
       testEndpoint: '/me',
-      authType: 'custom',
-      fieldKey: 'access_token',
       fieldLabel: 'API Key',
       fieldType: 'password',
       helpText: 'Enter your API key',
@@ -335,6 +995,251 @@ function loadAuthConfig() {
   }
 }
 
+// Resolve how the integration authenticates and where credentials are sent
+// - authType "oauth2" (or an oauth2 securityScheme): OAuth2 authorization code
+// - authType "session": a login operation exchanges username/password for a session token
+// - securityScheme (or no authType): the named/required scheme from components.securitySchemes
+//   (http basic, http bearer, apiKey in header/query/cookie)
+// - otherwise: custom auth with a Bearer token in the fieldKey field
+// Returns { type, placement, fieldKey, paramName, schemeName }
+function resolveAuthScheme(authConfig, parser) {
+  if (authConfig.authType === 'oauth2') {
+    return { type: 'oauth2', placement: 'bearer', fieldKey: 'access_token', paramName: null, schemeName: authConfig.securityScheme || null };
+  }
+  if (authConfig.authType === 'session') {
+    // The session token goes in a configured header, or as a Bearer token
+    const tokenHeader = authConfig.session && authConfig.session.tokenHeader;
+    return { type: 'session', placement: tokenHeader ? 'header' : 'bearer', fieldKey: 'sessionKey', paramName: tokenHeader || null, schemeName: null };
+  }
+
+  const schemes = parser.getSecuritySchemes();
+  // OAuth2 schemes without an authorizationCode flow (e.g. implicit only) can't be generated
+  const isSupported = (scheme) => scheme && (
+    scheme.type === 'apiKey' ||
+    (scheme.type === 'oauth2' && Boolean(scheme.flows && scheme.flows.authorizationCode)) ||
+    (scheme.type === 'http' && ['basic', 'bearer'].includes(String(scheme.scheme).toLowerCase()))
+  );
+  let schemeName = authConfig.securityScheme || null;
+  if (!schemeName && !authConfig.authType) {
+    // Prefer the schemes the API requires globally, then any supported scheme
+    schemeName = [...parser.getGlobalSecuritySchemeNames(), ...Object.keys(schemes)]
+      .find(name => isSupported(schemes[name])) || null;
+  }
+  if (!schemeName) {
+    return { type: 'custom', placement: 'bearer', fieldKey: authConfig.fieldKey || 'access_token', paramName: null, schemeName: null };
+  }
+
+  const scheme = schemes[schemeName];
+  if (!scheme) {
+    console.error(`❌ Error: Security scheme "${schemeName}" was not found in components.securitySchemes.`);
+    process.exit(1);
+  }
+  if (!isSupported(scheme)) {
+    console.error(`❌ Error: Security scheme "${schemeName}" (type "${scheme.type}"${scheme.scheme ? `, scheme "${scheme.scheme}"` : ''}) is not supported.`);
+    console.error(`   Supported: http basic, http bearer, apiKey (header, query or cookie) and oauth2 (authorizationCode).`);
+    process.exit(1);
+  }
+
+  if (scheme.type === 'oauth2') {
+    return { type: 'oauth2', placement: 'bearer', fieldKey: 'access_token', paramName: null, schemeName };
+  }
+  if (scheme.type === 'http' && String(scheme.scheme).toLowerCase() === 'basic') {
+    return { type: 'basic', placement: 'basic', fieldKey: null, paramName: null, schemeName };
+  }
+  if (scheme.type === 'http') {
+    return { type: 'custom', placement: 'bearer', fieldKey: authConfig.fieldKey || 'access_token', paramName: null, schemeName };
+  }
+  if (!['header', 'query', 'cookie'].includes(scheme.in)) {
+    console.error(`❌ Error: Security scheme "${schemeName}" sends its API key in "${scheme.in}" (expected header, query or cookie).`);
+    process.exit(1);
+  }
+  return { type: 'custom', placement: scheme.in, fieldKey: authConfig.fieldKey || 'api_key', paramName: scheme.name, schemeName };
+}
+
+// Validate the extra authentication fields from authentication-config.json
+// Returns [{ definition, responsePath }] where definition is the Zapier field
+// and responsePath is where a computed field is read from the token/login response
+function resolveAuthFields(authConfig) {
+  const fields = authConfig.fields || [];
+  if (!Array.isArray(fields)) {
+    console.error(`❌ Error: "fields" in authentication-config.json must be an array.`);
+    process.exit(1);
+  }
+
+  const auth = authConfig.auth;
+  const reservedKeys = new Set(['username', 'password', 'access_token', 'refresh_token', 'sessionKey', auth.fieldKey].filter(Boolean));
+  const seenKeys = new Set();
+  return fields.map((field, index) => {
+    const key = field && field.key;
+    if (typeof key !== 'string' || !/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key)) {
+      console.error(`❌ Error: fields[${index}].key must be a valid identifier (e.g., "subdomain").`);
+      process.exit(1);
+    }
+    if (reservedKeys.has(key) || seenKeys.has(key)) {
+      console.error(`❌ Error: Authentication field "${key}" is ${seenKeys.has(key) ? 'declared twice' : 'already used by the credentials'}.`);
+      process.exit(1);
+    }
+    seenKeys.add(key);
+    if (field.computed && auth.type !== 'oauth2' && auth.type !== 'session') {
+      console.error(`❌ Error: Authentication field "${key}" is computed, which needs authType "oauth2" or "session".`);
+      process.exit(1);
+    }
+    if (field.choices !== undefined && (field.choices === null || typeof field.choices !== 'object')) {
+      console.error(`❌ Error: Authentication field "${key}" has invalid choices (use an array or an object of value: label).`);
+      process.exit(1);
+    }
+
+    const definition = {
+      key,
+      label: field.label || titleCase(key.replace(/[_-]+/g, ' ')),
+      required: field.required !== undefined ? field.required : !field.computed,
+    };
+    ['type', 'helpText', 'placeholder', 'choices', 'default', 'computed'].forEach(prop => {
+      if (field[prop] !== undefined) {
+        definition[prop] = field[prop];
+      }
+    });
+    return { definition, responsePath: field.responsePath || key };
+  });
+}
+
+// Build the auth field that lets users pick one of the schema's servers (e.g. production or sandbox)
+// Returns { definition, responsePath } like resolveAuthFields, or null with fewer than two servers
+function resolveServerField(authConfig, servers) {
+  const key = 'server';
+  if (servers.length < 2) {
+    console.warn(`⚠️  Warning: "selectServer" needs at least two servers in the schema; using ${servers.length === 1 ? servers[0].url : 'relative URLs'}.`);
+    return null;
+  }
+  if (authConfig.authFields.some(field => field.definition.key === key)) {
+    console.error(`❌ Error: Authentication field "${key}" is used by "selectServer"; rename your field.`);
+    process.exit(1);
+  }
+  const choices = {};
+  servers.forEach(server => {
+    choices[server.url] = server.description || server.url;
+  });
+  return {
+    definition: {
+      key,
+      label: authConfig.serverLabel || 'Server',
+      required: true,
+      choices,
+      default: servers[0].url,
+    },
+    responsePath: key,
+  };
+}
+
+// Warn about {{bundle.authData.key}} references to keys no authentication field provides
+function checkAuthDataReferences(authConfig, values) {
+  const auth = authConfig.auth;
+  const knownKeys = new Set((authConfig.authFields || []).map(field => field.definition.key));
+  if (auth.type === 'basic' || auth.type === 'session') {
+    ['username', 'password'].forEach(key => knownKeys.add(key));
+  }
+  if (auth.fieldKey) {
+    knownKeys.add(auth.fieldKey);
+  }
+  if (auth.type === 'oauth2') {
+    ['access_token', 'refresh_token'].forEach(key => knownKeys.add(key));
+  }
+  for (const [name, value] of Object.entries(values)) {
+    for (const match of String(value || '').matchAll(AUTH_DATA_REFERENCE_PATTERN)) {
+      if (!knownKeys.has(match[1])) {
+        console.warn(`⚠️  Warning: ${name} references bundle.authData.${match[1]}, which is not an authentication field.`);
+      }
+    }
+  }
+}
+
+// Resolve the login operation for authType "session"
+// Returns { endpoint, loginMethod, loginPath, usernameField, passwordField, tokenPath, formEncoded }
+function resolveSessionConfig(authConfig, endpoints, mapper) {
+  const session = authConfig.session || {};
+  if (!session.loginOperation) {
+    console.error(`❌ Error: authType "session" needs session.loginOperation (the operationId of the login endpoint).`);
+    process.exit(1);
+  }
+  const endpoint = endpoints.find(e => e.operationId === session.loginOperation);
+  if (!endpoint) {
+    console.error(`❌ Error: Login operation "${session.loginOperation}" was not found in the schema.`);
+    process.exit(1);
+  }
+  if (endpoint.path.includes('{')) {
+    console.error(`❌ Error: Login operation "${session.loginOperation}" has path parameters (${endpoint.path}), which session auth can't fill in.`);
+    process.exit(1);
+  }
+
+  // Default the credential and token fields from the login request and response schemas
+  const requestBody = endpoint.requestBody || {};
+  const requestProperties = Object.keys((requestBody.schema && requestBody.schema.properties) || {});
+  const usernameField = session.usernameField
+    || SESSION_USERNAME_FIELD_NAMES.find(name => requestProperties.includes(name))
+    || 'username';
+  const passwordField = session.passwordField
+    || SESSION_PASSWORD_FIELD_NAMES.find(name => requestProperties.includes(name))
+    || 'password';
+
+  const successResponse = endpoint.responses['200'] || endpoint.responses['201'] || null;
+  const tokenPath = session.tokenPath
+    || findSchemaPropertyPath(successResponse && successResponse.schema, SESSION_TOKEN_FIELD_NAMES, mapper);
+  if (!tokenPath) {
+    console.error(`❌ Error: Could not find the session token in the response of "${session.loginOperation}".`);
+    console.error(`   Set session.tokenPath in authentication-config.json (e.g., "token" or "data.session_token").`);
+    process.exit(1);
+  }
+
+  return {
+    endpoint,
+    loginMethod: endpoint.method.toUpperCase(),
+    loginPath: endpoint.path,
+    usernameField,
+    passwordField,
+    tokenPath,
+    formEncoded: requestBody.contentType === 'application/x-www-form-urlencoded',
+  };
+}
+
+// Resolve the OAuth2 authorization code settings for authType "oauth2"
+// URLs and scopes come from the spec's securitySchemes; the config can name the scheme or override them
+function resolveOAuth2Config(authConfig, parser, baseUrl) {
+  const flow = parser.getOAuth2AuthorizationCodeFlow(authConfig.securityScheme || null) || {};
+  if (authConfig.securityScheme && !flow.schemeName) {
+    console.error(`❌ Error: Security scheme "${authConfig.securityScheme}" is not an oauth2 scheme with an authorizationCode flow.`);
+    process.exit(1);
+  }
+
+  // OpenAPI allows OAuth URLs relative to the server URL
+  const resolveUrl = (url) => {
+    const usesAuthData = Boolean(baseUrl.match(AUTH_DATA_REFERENCE_PATTERN));
+    if (!url || /^https?:\/\//i.test(url) || (!/^https?:\/\//i.test(baseUrl) && !usesAuthData)) {
+      return url;
+    }
+    if (usesAuthData) {
+      // new URL() would percent-encode the {{bundle.authData.key}} references
+      return `${baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+    }
+    return new URL(url, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).toString();
+  };
+  const authorizationUrl = resolveUrl(authConfig.authorizationUrl || flow.authorizationUrl);
+  const tokenUrl = resolveUrl(authConfig.tokenUrl || flow.tokenUrl);
+  if (!authorizationUrl || !tokenUrl) {
+    console.error(`❌ Error: authType "oauth2" needs an authorizationUrl and tokenUrl.`);
+    console.error(`   Add an oauth2 securityScheme with an authorizationCode flow to the schema, or set "authorizationUrl" and "tokenUrl" in authentication-config.json.`);
+    process.exit(1);
+  }
+
+  const scopes = authConfig.scopes || flow.scopes || [];
+  return {
+    schemeName: flow.schemeName || 'authentication-config.json',
+    authorizationUrl,
+    tokenUrl,
+    refreshUrl: resolveUrl(authConfig.refreshUrl || flow.refreshUrl) || tokenUrl,
+    scope: scopes.join(' '),
+  };
+}
+
 // Parse command line arguments
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -345,6 +1250,7 @@ function parseArgs() {
     outputDir: DEFAULT_OUTPUT_DIR,
     endpoint: null, // For Phase 1: single endpoint mode
     version: null, // Override version from OpenAPI spec
+    maxCircularDepth: 0, // How often a circular $ref is expanded again before truncation
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -361,6 +1267,8 @@ function parseArgs() {
       config.endpoint = args[++i];
     } else if (arg === '--version' && args[i + 1]) {
       config.version = args[++i];
+    } else if (arg === '--max-circular-depth' && args[i + 1]) {
+      config.maxCircularDepth = parseInt(args[++i], 10) || 0;
     }
   }
 
@@ -470,8 +1378,31 @@ function titleCase(str) {
     .join(' ');
 }
 
+/**
+ * Build the sample of an action, trigger or search from one example item
+ * Drops sensitive fields (Zapier requirement D001 - no password fields) and removeKeys, and adds
+ * a placeholder id when the sample would be empty (Zapier requires at least one property)
+ * or, with requireId, whenever it has no id
+ */
+function buildSampleObject(sample, options = {}) {
+  const sensitiveFields = ['password', 'passwd', 'pwd', 'secret', 'token', 'apiKey', 'api_key'];
+  const fieldsToRemove = new Set([...sensitiveFields, ...(options.removeKeys || [])]);
+  const sampleObject = {};
+  if (sample && typeof sample === 'object' && !Array.isArray(sample)) {
+    Object.keys(sample).forEach(key => {
+      if (!fieldsToRemove.has(key)) {
+        sampleObject[key] = sample[key];
+      }
+    });
+  }
+  if ((options.requireId || Object.keys(sampleObject).length === 0) && !sampleObject.hasOwnProperty('id')) {
+    sampleObject.id = 0;
+  }
+  return sampleObject;
+}
+
 // Generate action file for an endpoint
-function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {}, triggerConfig = {}, customHeader = null) {
+function generateAction(endpoint, mapper, generator, actionConfig = {}, triggerConfig = {}) {
   const key = endpoint.operationId || endpoint.path.replace(/\//g, '_').replace(/^_/, '');
   let noun = mapper.getNoun(endpoint.operationId, endpoint.path);
   
@@ -492,6 +1423,22 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
   }
   const displayLabel = titleCase(rawLabel);
 
+  // Polymorphic request bodies (oneOf/anyOf of objects) get a variant selector
+  // and a dynamic fields function that returns the fields of the chosen variant
+  const bodySchema = endpoint.requestBody && endpoint.requestBody.schema;
+  const requestBodyVariants = !isSimplified && bodySchema && Array.isArray(bodySchema['x-variants'])
+    ? bodySchema['x-variants']
+    : null;
+  const variantDiscriminator = requestBodyVariants ? bodySchema['x-discriminator'] : null;
+  const variantSelectorKey = variantDiscriminator ? variantDiscriminator.propertyName : 'variant_type';
+
+  // Encode the body according to the request body content type (JSON, form or multipart)
+  const requestContentType = endpoint.requestBody ? endpoint.requestBody.contentType : 'application/json';
+  const isMultipartBody = requestContentType === 'multipart/form-data';
+  let requestBodyEncoding = generateRequestBodyEncoding(requestContentType);
+  // Set when file fields are streamed into the multipart body
+  let requestBodyHasFiles = false;
+
   // Extract input fields
   const pathParams = endpoint.parameters.filter(p => p.in === 'path');
   const queryParams = endpoint.parameters.filter(p => p.in === 'query');
@@ -600,6 +1547,17 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
           );
         }
       }
+    } else if (requestBodyVariants) {
+      // Polymorphic case: only the selector is static, variant fields are loaded dynamically
+      bodyFields = [{
+        key: variantSelectorKey,
+        label: mapper.formatLabel(variantSelectorKey),
+        type: 'string',
+        required: true,
+        choices: requestBodyVariants.map(variant => variant.value),
+        altersDynamicFields: true,
+        helpText: 'Select which variant to send. The remaining fields depend on this choice.',
+      }];
     } else {
       // Normal case: extract from request body schema
       bodyFields = mapper.requestBodyToZapierFields(endpoint.requestBody);
@@ -761,6 +1719,12 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
   if (is204Response) {
     sample = { success: true, status: 204 };
   }
+
+  // Binary responses (files) are stashed and returned as a file URL
+  const isBinaryResponse = !is204Response && !!successResponse && !!successResponse.binary;
+  if (isBinaryResponse) {
+    sample = { file: 'SAMPLE FILE', content_type: successResponse.contentType };
+  }
   
   // For simplified actions with publicName, restructure sample to match nested input structure
   // This ensures the Data In section shows the correct nested structure
@@ -829,7 +1793,7 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
   let pathParamsCode = '';
   if (pathParams.length > 0) {
     pathParams.forEach(param => {
-      pathParamsCode += `  url = url.replace('{${param.name}}', bundle.inputData.${param.name});\n`;
+      pathParamsCode += `  url = url.replace('{${escapeForJsString(param.name)}}', ${generateParamAccessorCode('bundle.inputData', param.name)});\n`;
     });
   } else {
     pathParamsCode = '  // No path parameters';
@@ -846,17 +1810,20 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
       // Check if this is a date query parameter that needs format conversion
       const paramSchema = param.schema || {};
       const isDateParam = paramSchema.type === 'string' && paramSchema.format === 'date';
+      // Parameter names may not be identifiers (e.g. page-size)
+      const inputCode = generateParamAccessorCode('bundle.inputData', param.name);
+      const paramCode = generateParamAccessorCode('params', param.name);
       
       if (isDateParam) {
         // For date query params, extract just the date part (YYYY-MM-DD) if a datetime was provided
-        queryParamsCode += `  if (bundle.inputData.${param.name}) {\n`;
+        queryParamsCode += `  if (${inputCode}) {\n`;
         queryParamsCode += `    // Extract date part (YYYY-MM-DD) from input, handling both date strings and datetime strings\n`;
-        queryParamsCode += `    const ${param.name}Value = String(bundle.inputData.${param.name});\n`;
-        queryParamsCode += `    params.${param.name} = ${param.name}Value.includes('T') ? ${param.name}Value.split('T')[0] : ${param.name}Value.split(' ')[0];\n`;
+        queryParamsCode += `    const dateValue = String(${inputCode});\n`;
+        queryParamsCode += `    ${paramCode} = dateValue.includes('T') ? dateValue.split('T')[0] : dateValue.split(' ')[0];\n`;
         queryParamsCode += `  }\n`;
       } else {
-        queryParamsCode += `  if (bundle.inputData.${param.name}) {\n`;
-        queryParamsCode += `    params.${param.name} = bundle.inputData.${param.name};\n`;
+        queryParamsCode += `  if (${inputCode}) {\n`;
+        queryParamsCode += `    ${paramCode} = ${inputCode};\n`;
         queryParamsCode += `  }\n`;
       }
     });
@@ -1134,7 +2101,17 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
       // Filter out body fields that are path parameters (they're already in URL)
       const bodyFieldsForRequest = bodyFields.filter(field => !pathParamKeys.has(field.key));
       requestBodyCode = '  const requestBody = {};\n';
+      requestBodyHasFiles = isMultipartBody && bodyFieldsForRequest.some(field => field.type === 'file');
+      if (requestBodyHasFiles) {
+        requestBodyCode += '  const requestFiles = {};\n';
+      }
       bodyFieldsForRequest.forEach(field => {
+        // File fields are downloaded from the URL Zapier provides
+        if (field.type === 'file') {
+          requestBodyCode += generateFileFieldCode(field.key, isMultipartBody);
+          return;
+        }
+
         // Check if this is a date field that needs format conversion
         // We need to check the original schema to see if it's a date field
         const isDateField = field.type === 'string' && 
@@ -1291,7 +2268,23 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
         });
       }
     }
-    bodyCode = 'body: requestBody,';
+    if (requestBodyVariants) {
+      // Drop values left over from a previously selected variant
+      requestBodyCode += `  // Only send the properties of the selected variant\n`;
+      requestBodyCode += `  const selectedVariant = ${generateParamAccessorCode('bundle.inputData', variantSelectorKey)};\n`;
+      requestBodyCode += `  const variantKeys = (requestBodyVariantFields[selectedVariant] || []).map((field) => field.key);\n`;
+      requestBodyCode += `  Object.keys(requestBody).forEach((key) => {\n`;
+      requestBodyCode += `    if (!variantKeys.includes(key)) {\n`;
+      requestBodyCode += `      delete requestBody[key];\n`;
+      requestBodyCode += `    }\n`;
+      requestBodyCode += `  });\n`;
+      if (variantDiscriminator) {
+        requestBodyCode += `  ${generateParamAccessorCode('requestBody', variantSelectorKey)} = selectedVariant;\n`;
+      }
+    }
+    requestBodyEncoding = generateRequestBodyEncoding(requestContentType, { hasFiles: requestBodyHasFiles });
+    requestBodyCode += requestBodyEncoding.code;
+    bodyCode = requestBodyEncoding.bodyCode;
   } else {
     requestBodyCode = '  // No request body';
   }
@@ -1306,6 +2299,12 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
     // 204 No Content: API returns no body, but Zapier requires an object
     // Return a success object to satisfy Zapier's requirement
     responseCode = '  // 204 No Content response - return success object\n  return { success: true, status: 204 };';
+  } else if (isBinaryResponse) {
+    // Stash the file so downstream steps receive a real file instead of raw bytes
+    responseCode = `  // Binary response - stash the file so later steps receive a real file\n` +
+      `  response.throwForStatus();\n` +
+      `  const file = await z.stashFile(response);\n` +
+      `  return { file, content_type: response.headers.get('content-type') || '${successResponse.contentType}' };`;
   } else if (successResponse && successResponse.schema) {
     if (successResponse.schema.type === 'array') {
       // Direct array response - wrap in object
@@ -1430,6 +2429,10 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
     if (field.placeholder) {
       parts.push(`${indent}placeholder: '${field.placeholder}'`);
     }
+    // Reload dynamic fields when this field changes (variant selector)
+    if (field.altersDynamicFields) {
+      parts.push(`${indent}altersDynamicFields: true`);
+    }
     // Note: Zapier doesn't support validate property on input fields
     // Date format validation is handled in the perform function instead
     // Note: boolean and number defaults are omitted - Zapier doesn't support them
@@ -1437,10 +2440,8 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
     return `      {\n${parts.join(',\n')}\n      }`;
   };
   
-  // Generate array format for input fields
-  let inputFieldsCode = inputFields.length > 0
-    ? '[\n' + inputFields.map(generateFieldCode).join(',\n') + '\n    ]'
-    : '[]';
+  // Code of each inputFields entry; joined into the array once all entries are known
+  let inputFieldEntries = inputFields.map(generateFieldCode);
 
   // Build sample code
   // Zapier requires sample to be an object, not an array, and must have at least one property
@@ -1461,23 +2462,8 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
     sampleObject = {};
   }
   
-  // Remove sensitive fields from sample (Zapier requirement D001 - no password fields)
-  // Also remove fields that are hidden from inputFields
-  if (typeof sampleObject === 'object' && !Array.isArray(sampleObject)) {
-    const sensitiveFields = ['password', 'passwd', 'pwd', 'secret', 'token', 'apiKey', 'api_key'];
-    const fieldsToRemove = new Set([...sensitiveFields, ...hideRequestBodyProperties]);
-    Object.keys(sampleObject).forEach(key => {
-      if (fieldsToRemove.has(key)) {
-        delete sampleObject[key];
-      }
-    });
-  }
-  
-  // Ensure sample has at least one property (Zapier validation requirement)
-  if (typeof sampleObject === 'object' && !Array.isArray(sampleObject) && Object.keys(sampleObject).length === 0) {
-    // Add a placeholder property to satisfy Zapier's minimum property requirement
-    sampleObject = { id: 0 };
-  }
+  // Remove sensitive fields and fields that are hidden from inputFields
+  sampleObject = buildSampleObject(sampleObject, { removeKeys: hideRequestBodyProperties });
   
   const sampleCode = `sample: ${JSON.stringify(sampleObject, null, 2)},`;
 
@@ -1538,7 +2524,7 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
       }
     });
     
-    // Regenerate inputFieldsCode with dynamic fields marked
+    // Regenerate the inputFields entries with dynamic fields marked
     // Note: generateFieldCode now handles dynamic properties for child fields directly
     const generateFieldCodeWithDynamic = (field) => {
       const baseCode = generateFieldCode(field);
@@ -1550,26 +2536,46 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
       return baseCode;
     };
     
-    const updatedInputFieldsCode = inputFields.length > 0
-      ? '[\n' + inputFields.map(generateFieldCodeWithDynamic).join(',\n') + '\n    ]'
-      : '[]';
-    
-    // Update inputFieldsCode with dynamic fields
-    inputFieldsCode = updatedInputFieldsCode;
+    inputFieldEntries = inputFields.map(generateFieldCodeWithDynamic);
     
     // No need to generate functions - dynamic dropdowns use triggers directly
     dynamicFieldsCode = '';
   }
 
+  if (requestBodyVariants) {
+    // Generate the fields of each variant, keyed by the selector value
+    const variantEntries = requestBodyVariants.map(variant => {
+      const variantFields = mapper.schemaPropertiesToZapierFields(variant.schema, variant.schema.required || [])
+        .filter(field => field.key !== variantSelectorKey)
+        .filter(field => !hideRequestBodyProperties.has(field.key))
+        .filter(field => !existingFieldKeys.has(field.key));
+      const fieldsCode = variantFields.length > 0
+        ? '[\n' + variantFields.map(generateFieldCode).join(',\n') + '\n  ]'
+        : '[]';
+      return `  ${JSON.stringify(variant.value)}: ${fieldsCode}`;
+    });
+
+    dynamicFieldsCode = `// Input fields for each request body variant, keyed by the "${variantSelectorKey}" value\n`;
+    dynamicFieldsCode += `const requestBodyVariantFields = {\n${variantEntries.join(',\n')}\n};\n\n`;
+    dynamicFieldsCode += `// Return the fields of the selected variant (re-run when "${variantSelectorKey}" changes)\n`;
+    dynamicFieldsCode += `const getRequestBodyVariantFields = async (z, bundle) => {\n`;
+    dynamicFieldsCode += `  return requestBodyVariantFields[${generateParamAccessorCode('bundle.inputData', variantSelectorKey)}] || [];\n`;
+    dynamicFieldsCode += `};`;
+
+    // Zapier calls functions in inputFields to load dynamic fields
+    inputFieldEntries.push('      getRequestBodyVariantFields');
+  }
+
+  const inputFieldsCode = inputFieldEntries.length > 0
+    ? '[\n' + inputFieldEntries.join(',\n') + '\n    ]'
+    : '[]';
+
   // Truncate description to 1000 characters (Zapier limit)
   let description = endpoint.description || endpoint.summary || '';
   if (description.length > 1000) {
     description = description.substring(0, 997) + '...';
   }
 
-  // Generate custom header code
-  const customHeaderCode = generateCustomHeaderCode(customHeader);
-
   const templateData = {
     key,
     noun,
@@ -1578,7 +2584,6 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
     operationId: endpoint.operationId,
     method: endpoint.method.toUpperCase(),
     path: endpoint.path,
-    baseUrl,
     pathParamsCode,
     queryParamsCode,
     requestBodyCode,
@@ -1589,23 +2594,34 @@ function generateAction(endpoint, baseUrl, mapper, generator, actionConfig = {},
     sampleCode,
     cleanInputDataCode,
     dynamicFieldsCode,
-    customHeaderCode,
+    contentTypeHeaderCode: requestBodyEncoding.contentTypeHeaderCode,
+    importsCode: requestBodyEncoding.importsCode,
+    rawResponse: isBinaryResponse,
   };
 
-  return generator.generate('action.template.js', templateData);
+  // The input fields are returned too, so search-or-creates can map fields between the steps
+  return { code: generator.generate('action.template.js', templateData), inputFields };
 }
 
 // Generate trigger file for an endpoint (similar to action but for polling,
 // webhooks or dynamic dropdowns)
-function generateTrigger(triggerConfig, baseUrl, mapper, generator, customHeader = null) {
+function generateTrigger(triggerConfig, mapper, generator) {
+  if (triggerConfig.type === 'hook') {
+    return generateHookTrigger(triggerConfig, mapper, generator);
+  }
+
   const endpoint = triggerConfig.endpoint;
   const key = triggerConfig.key; // Key is always set when creating trigger objects
   const noun = mapper.getNoun(endpoint.operationId, endpoint.path);
   // Use custom name if provided, otherwise use title case of summary
   // Apply titleCase to custom name if provided, otherwise use titleCase on endpoint info
+  // "updated" mode fires again whenever a record's updated timestamp changes
+  const updatedMode = triggerConfig.hidden !== true && triggerConfig.mode === 'updated';
   const displayLabel = triggerConfig.customName 
     ? titleCase(triggerConfig.customName)
-    : titleCase(endpoint.summary || endpoint.operationId || endpoint.path);
+    : updatedMode
+      ? `Updated ${titleCase(noun)}`
+      : titleCase(endpoint.summary || endpoint.operationId || endpoint.path);
 
   // Extract input fields (triggers typically only have query params, no request body)
   const pathParams = endpoint.parameters.filter(p => p.in === 'path');
@@ -1617,7 +2633,64 @@ function generateTrigger(triggerConfig, baseUrl, mapper, generator, customHeader
   
   // Get hideQueryParams from config (similar to actions)
   const hideQueryParams = new Set(triggerConfig.hideQueryParams || []);
-  
+
+  // Get sample from response
+  const successResponse = endpoint.responses['200'] || endpoint.responses['201'];
+  const sample = successResponse ? mapper.extractResponseSample(successResponse) : null;
+
+  // Resolve the pagination strategy: explicit config first, otherwise detected from the spec
+  const paginationConfig = { ...(triggerConfig.pagination || {}) };
+  const paginationStrategy = paginationConfig.strategy || detectPaginationStrategy(queryParams, successResponse);
+  const queryParamNames = new Set(queryParams.map(p => p.name));
+  paginationConfig.strategy = paginationStrategy;
+  if (paginationStrategy === 'offset') {
+    paginationConfig.pageSizeParam = 'limit';
+  } else if (paginationStrategy === 'page' || paginationStrategy === 'link') {
+    paginationConfig.pageSizeParam = paginationConfig.pageSizeParam ||
+      PAGE_SIZE_PARAM_NAMES.find(name => queryParamNames.has(name)) || null;
+  }
+  if (paginationStrategy === 'page') {
+    paginationConfig.pageParam = paginationConfig.pageParam || 'page';
+    paginationConfig.totalPagesPath = paginationConfig.totalPagesPath ||
+      findSchemaPropertyPath(successResponse && successResponse.schema, ['total_pages', 'totalPages', 'page_count', 'pageCount'], mapper);
+  }
+
+  // Polling triggers fetch every page in a loop; hidden triggers page dropdown choices
+  // one request at a time with bundle.meta.page (canPaginate)
+  const usesLoopPagination = triggerConfig.hidden !== true && ['cursor', 'link', 'page'].includes(paginationStrategy);
+  const usesDropdownPaging = triggerConfig.hidden === true && (
+    (paginationStrategy === 'offset' && queryParamNames.has('limit') && queryParamNames.has('offset')) ||
+    (paginationStrategy === 'page' && queryParamNames.has(paginationConfig.pageParam)) ||
+    paginationStrategy === 'cursor' ||
+    paginationStrategy === 'link'
+  );
+
+  // Cursor, page and offset params are managed by the generated code, never by the user
+  if (usesLoopPagination || usesDropdownPaging) {
+    if (paginationStrategy === 'page') {
+      hideQueryParams.add(paginationConfig.pageParam);
+    } else if (paginationStrategy === 'cursor') {
+      hideQueryParams.add(paginationConfig.cursorParam);
+    }
+  }
+  // Incremental polling fills the since and sort params itself (visible polling triggers only)
+  const incrementalConfig = triggerConfig.hidden !== true ? (triggerConfig.incremental || null) : null;
+  if (incrementalConfig) {
+    hideQueryParams.add(incrementalConfig.sinceParam);
+    Object.keys(incrementalConfig.sortParams || {}).forEach(name => hideQueryParams.add(name));
+  }
+  if (usesDropdownPaging) {
+    if (paginationStrategy === 'offset') {
+      hideQueryParams.add('offset');
+    } else if (paginationStrategy === 'link' && queryParamNames.has('page')) {
+      // Dropdown pages follow the Link header, so a page number input would conflict
+      hideQueryParams.add('page');
+    }
+    if (paginationConfig.pageSizeParam) {
+      hideQueryParams.add(paginationConfig.pageSizeParam);
+    }
+  }
+
   // Get dynamicFields config
   const dynamicFieldsConfig = triggerConfig.dynamicFields || {};
   const dynamicFieldKeys = new Set(Object.keys(dynamicFieldsConfig));
@@ -1628,15 +2701,11 @@ function generateTrigger(triggerConfig, baseUrl, mapper, generator, customHeader
     !autoQueryParamKeys.has(field.key) && !hideQueryParams.has(field.key)
   );
 
-  // Get sample from response
-  const successResponse = endpoint.responses['200'] || endpoint.responses['201'];
-  const sample = successResponse ? mapper.extractResponseSample(successResponse) : null;
-
   // Build path parameters code
   let pathParamsCode = '';
   if (pathParams.length > 0) {
     pathParams.forEach(param => {
-      pathParamsCode += `  url = url.replace('{${param.name}}', bundle.inputData.${param.name});\n`;
+      pathParamsCode += `  url = url.replace('{${escapeForJsString(param.name)}}', ${generateParamAccessorCode('bundle.inputData', param.name)});\n`;
     });
   } else {
     pathParamsCode = '  // No path parameters';
@@ -1668,21 +2737,31 @@ function generateTrigger(triggerConfig, baseUrl, mapper, generator, customHeader
       // Check if this is a date query parameter that needs format conversion
       const paramSchema = param.schema || {};
       const isDateParam = paramSchema.type === 'string' && paramSchema.format === 'date';
+      // Parameter names may not be identifiers (e.g. page-size)
+      const inputCode = generateParamAccessorCode('bundle.inputData', param.name);
+      const paramCode = generateParamAccessorCode('params', param.name);
       
       if (isDateParam) {
         // For date query params, extract just the date part (YYYY-MM-DD) if a datetime was provided
-        queryParamsCode += `  if (bundle.inputData.${param.name}) {\n`;
+        queryParamsCode += `  if (${inputCode}) {\n`;
         queryParamsCode += `    // Extract date part (YYYY-MM-DD) from input, handling both date strings and datetime strings\n`;
-        queryParamsCode += `    const ${param.name}Value = String(bundle.inputData.${param.name});\n`;
-        queryParamsCode += `    params.${param.name} = ${param.name}Value.includes('T') ? ${param.name}Value.split('T')[0] : ${param.name}Value.split(' ')[0];\n`;
+        queryParamsCode += `    const dateValue = String(${inputCode});\n`;
+        queryParamsCode += `    ${paramCode} = dateValue.includes('T') ? dateValue.split('T')[0] : dateValue.split(' ')[0];\n`;
         queryParamsCode += `  }\n`;
       } else {
-        queryParamsCode += `  if (bundle.inputData.${param.name}) {\n`;
-        queryParamsCode += `    params.${param.name} = bundle.inputData.${param.name};\n`;
+        queryParamsCode += `  if (${inputCode}) {\n`;
+        queryParamsCode += `    ${paramCode} = ${inputCode};\n`;
         queryParamsCode += `  }\n`;
       }
     });
     
+    paramsCode = 'params: params,';
+  } else if (usesLoopPagination) {
+    // The pagination loop spreads params into each page request
+    queryParamsCode = '  const params = {};';
+  } else if (usesDropdownPaging || incrementalConfig) {
+    // Dropdown paging and incremental polling set their params below
+    queryParamsCode = '  const params = {};\n';
     paramsCode = 'params: params,';
   } else {
     queryParamsCode = '  // No query parameters';
@@ -1789,7 +2868,9 @@ function generateTrigger(triggerConfig, baseUrl, mapper, generator, customHeader
   
   // Determine if pagination should be used (for polling triggers only, not hidden triggers)
   const isHidden = triggerConfig.hidden === true;
-  const shouldUsePagination = !isHidden && hasLimitParam && hasOffsetParam && hasHasMoreProperty;
+  // A configured or detected non-offset strategy replaces the offset/limit loop
+  const shouldUsePagination = !isHidden && paginationStrategy === 'offset' &&
+    hasLimitParam && hasOffsetParam && hasHasMoreProperty;
   
   // Add default limit handling if pagination is supported
   // We need to ensure 'limit' variable exists for the pagination loop
@@ -1832,10 +2913,53 @@ function generateTrigger(triggerConfig, baseUrl, mapper, generator, customHeader
     }
   }
   
+  // Limit polls to recently changed records
+  if (incrementalConfig) {
+    const sinceParam = queryParams.find(p => p.name === incrementalConfig.sinceParam);
+    if (!sinceParam) {
+      console.warn(`⚠️  Warning: Incremental param "${incrementalConfig.sinceParam}" of trigger "${key}" is not a query parameter of ${endpoint.method.toUpperCase()} ${endpoint.path}; it is sent anyway.`);
+    }
+    queryParamsCode += '\n' + generateIncrementalPollingCode(incrementalConfig, sinceParam ? sinceParam.schema : null);
+  }
+
+  // Hidden triggers page dropdown choices with bundle.meta.page
+  const dropdownPaging = usesDropdownPaging ? generateDropdownPagingCode(paginationConfig) : null;
+  if (dropdownPaging) {
+    queryParamsCode += '\n' + dropdownPaging.setupCode;
+    paramsCode = dropdownPaging.paramsCode;
+  }
+
   // Generate sorting code for polling triggers (sort by id descending for better deduplication)
   // Only add sorting for non-hidden triggers (polling triggers)
   let sortCode = '';
-  if (!isHidden) {
+  let updatedField = null;
+  if (updatedMode) {
+    const itemSchema = findResultItemSchema(successResponse && successResponse.schema, configuredArrayProp, mapper);
+    const itemProperties = (itemSchema && itemSchema.properties) || {};
+    updatedField = triggerConfig.updatedField || UPDATED_FIELD_NAMES.find(name => itemProperties[name]) || null;
+    if (!updatedField) {
+      console.error(`❌ Error: Trigger "${key}" uses "mode": "updated" but no updated timestamp field was found in the ${endpoint.method.toUpperCase()} ${endpoint.path} response items.`);
+      console.error(`   Set "updatedField" (e.g., "updated_at") in the trigger config.`);
+      process.exit(1);
+    }
+  }
+  // Updated records are identified by their id plus the updated timestamp
+  const dedupeKey = !isHidden
+    ? (triggerConfig.dedupeKey || (updatedMode ? `\${${triggerConfig.idField || 'id'}}-\${${updatedField}}` : null))
+    : null;
+  if (dedupeKey && updatedMode) {
+    const updatedA = generatePathAccessorCode('a', updatedField);
+    const updatedB = generatePathAccessorCode('b', updatedField);
+    sortCode = generateDedupeKeyCode(dedupeKey) + `
+
+  // Sort by ${updatedField} descending (most recently updated first)
+  results = results.sort((a, b) => new Date(${updatedB} || 0).getTime() - new Date(${updatedA} || 0).getTime());`;
+  } else if (dedupeKey) {
+    sortCode = generateDedupeKeyCode(dedupeKey) + `
+
+  // Sort by id descending (newest first) when ids are numeric; other dedupe keys keep the API's order
+  results = results.sort((a, b) => (typeof a.id === 'number' && typeof b.id === 'number' ? b.id - a.id : 0));`;
+  } else if (!isHidden) {
     sortCode = `
   // Ensure each result has a unique id for deduplication
   // Zapier uses the 'id' field automatically for deduplication
@@ -1843,6 +2967,13 @@ function generateTrigger(triggerConfig, baseUrl, mapper, generator, customHeader
   // NOTE: If API already returns sorted by ID descending, this is redundant but safe
   results = results.sort((a, b) => (b.id || 0) - (a.id || 0));`;
   }
+  // maxItems keeps the newest items, so the cut happens after sorting rather than in the pagination loop
+  if (!isHidden && (shouldUsePagination || usesLoopPagination) && paginationConfig.maxItems) {
+    sortCode += `
+
+  // Keep the ${paginationConfig.maxItems} newest items (maxItems); the last page may have gone past the cap
+  results = results.slice(0, ${paginationConfig.maxItems});`;
+  }
 
   // Generate filter code from filters config (for hidden triggers) or filterCode (for custom JavaScript)
   let filterCode = '';
@@ -2072,23 +3203,22 @@ function generateTrigger(triggerConfig, baseUrl, mapper, generator, customHeader
     sampleObject = {};
   }
   
-  // Remove sensitive fields from sample (Zapier requirement D001 - no password fields)
-  if (typeof sampleObject === 'object' && !Array.isArray(sampleObject)) {
-    const sensitiveFields = ['password', 'passwd', 'pwd', 'secret', 'token', 'apiKey', 'api_key'];
-    sensitiveFields.forEach(key => {
-      if (sampleObject.hasOwnProperty(key)) {
-        delete sampleObject[key];
-      }
-    });
-  }
-  
-  // Ensure sample has at least one property (Zapier validation requirement)
-  if (typeof sampleObject === 'object' && !Array.isArray(sampleObject) && Object.keys(sampleObject).length === 0) {
-    // Add a placeholder property to satisfy Zapier's minimum property requirement
-    sampleObject = { id: 0 };
-  }
+  sampleObject = buildSampleObject(sampleObject);
   
   // Ensure sample has an 'id' field for deduplication (D010 requirement)
+  // A configured dedupe key builds it the same way as the generated perform
+  const sampleDedupeId = dedupeKey && typeof sampleObject === 'object' && !Array.isArray(sampleObject)
+    ? buildDedupeId(sampleObject, dedupeKey)
+    : undefined;
+  if (sampleDedupeId !== undefined && sampleDedupeId !== '') {
+    // Copy first: the parsed sample is shared by every trigger on this endpoint
+    sampleObject = { ...sampleObject };
+    if (sampleObject.id !== undefined && sampleObject.id !== sampleDedupeId) {
+      sampleObject.original_id = sampleObject.id;
+    }
+    sampleObject.id = sampleDedupeId;
+  }
+
   // If it doesn't have one, try to find a common ID field name
   if (typeof sampleObject === 'object' && !Array.isArray(sampleObject)) {
     if (!sampleObject.hasOwnProperty('id')) {
@@ -2116,7 +3246,10 @@ function generateTrigger(triggerConfig, baseUrl, mapper, generator, customHeader
   if (isHidden) {
     description = 'Hidden trigger for dynamic dropdowns.';
   } else {
-    description = triggerConfig.title || endpoint.description || endpoint.summary || '';
+    const updatedTitle = updatedMode
+      ? `Triggers when ${/^[aeiou]/i.test(noun) ? 'an' : 'a'} ${noun.toLowerCase()} is updated.`
+      : null;
+    description = triggerConfig.title || updatedTitle || endpoint.description || endpoint.summary || '';
     // Ensure description ends with a period (Zapier requirement D021)
     if (description && !description.trim().endsWith('.')) {
       description = description.trim() + '.';
@@ -2132,7 +3265,7 @@ function generateTrigger(triggerConfig, baseUrl, mapper, generator, customHeader
 
   // Generate request code - either single request or pagination loop
   let requestCode = '';
-  if (shouldUsePagination) {
+  if (shouldUsePagination || usesLoopPagination) {
     // Generate pagination loop that fetches all pages
     // First, we need to determine the array property name for pageResults
     let arrayPropForPagination = '';
@@ -2175,137 +3308,631 @@ function generateTrigger(triggerConfig, baseUrl, mapper, generator, customHeader
     } else {
       arrayPropForPagination = 'response.json || []';
     }
-    
-    // Generate custom header code
-    const customHeaderCode = generateCustomHeaderCode(customHeader);
-    const customHeaderStr = customHeaderCode ? customHeaderCode.trim() : '';
-    
-    requestCode = `  // For polling triggers, Zapier doesn't automatically paginate
-  // We need to manually fetch all pages by looping until has_more is false
-  // This ensures we get all items, not just the first page
-  let allResults = [];
-  let offset = 0;
-  let hasMore = true;
-  
-  while (hasMore) {
-    // Create a fresh params object for each page request to avoid mutating
-    const pageParams = { ...params };
-    pageParams.offset = offset;
-    
-    const response = await z.request({
-      method: '${endpoint.method.toUpperCase()}',
-      url: url,
-      params: pageParams,
-      headers: {
-        Authorization: \`Bearer \${bundle.authData.access_token}\`,
-        'Content-Type': 'application/json',${customHeaderStr ? '\n        ' + customHeaderStr : ''}
-      },
-    });
-    
-    const pageResults = ${arrayPropForPagination};
-    
-    if (pageResults.length > 0) {
-      allResults = allResults.concat(pageResults);
+    
+    if (usesLoopPagination) {
+      requestCode = generatePaginationLoopCode(paginationConfig, {
+        method: endpoint.method.toUpperCase(),
+        pageResultsCode: arrayPropForPagination,
+      });
+    } else {
+      const limits = generatePaginationLimitsCode(paginationConfig);
+      requestCode = `  // For polling triggers, Zapier doesn't automatically paginate
+  // We need to manually fetch all pages by looping until has_more is false
+  // This ensures we get all items, not just the first page
+  let allResults = [];
+${limits.setupCode}  let offset = 0;
+  let hasMore = true;
+  
+  while (hasMore) {
+    // Create a fresh params object for each page request to avoid mutating
+    const pageParams = { ...params };
+    pageParams.offset = offset;
+    
+    const response = await z.request({
+      method: '${endpoint.method.toUpperCase()}',
+      url: url,
+      params: pageParams,
+    });
+    
+    const pageResults = ${arrayPropForPagination};
+    
+    if (pageResults.length > 0) {
+      allResults = allResults.concat(pageResults);
+    }
+${limits.checkCode}    
+    // Check if there are more pages
+    // Continue if API says has_more AND we got a full page (indicating there might be more)
+    hasMore = response.json.has_more === true && pageResults.length === limit;
+    if (hasMore) {
+      offset += limit;
+    }
+  }
+  
+  // Use allResults from pagination
+  let results = allResults;`;
+    }
+  } else {
+    // Single request (no pagination)
+    requestCode = `  const response = await z.request({
+    method: '${endpoint.method.toUpperCase()}',
+    url: url,
+    ${paramsCode}
+  });
+
+  let results = ${responseCode};${dropdownPaging ? dropdownPaging.cursorCode : ''}`;
+  }
+
+  const templateData = {
+    key,
+    noun,
+    displayLabel,
+    description: escapeForJsString(description),
+    hiddenProperty,
+    operationId: endpoint.operationId,
+    method: endpoint.method.toUpperCase(),
+    path: endpoint.path,
+    pathParamsCode,
+    queryParamsCode,
+    paramsCode,
+    responseCode,
+    requestCode,
+    sortCode,
+    filterCode,
+    labelCode,
+    inputFieldsCode,
+    sampleCode,
+    canPaginate: usesDropdownPaging,
+  };
+
+  return generator.generate('trigger.template.js', templateData);
+}
+
+/**
+ * Generate an inputFields array literal for searches and hook triggers
+ * (key, label, type, helpText, required, choices and string defaults)
+ */
+function generateSimpleInputFieldsCode(inputFields) {
+  if (inputFields.length === 0) {
+    return '[]';
+  }
+  return '[\n' + inputFields.map(field => {
+    const parts = [`      key: '${field.key}'`, `label: '${escapeForJsString(field.label)}'`, `type: '${field.type}'`];
+    if (field.helpText) {
+      parts.push(`helpText: '${escapeForJsString(field.helpText)}'`);
+    }
+    if (field.required) {
+      parts.push('required: true');
+    }
+    if (field.choices && Array.isArray(field.choices) && field.choices.length > 0) {
+      parts.push(`choices: ${JSON.stringify(field.choices)}`);
+    }
+    if (field.default !== undefined && field.type === 'string') {
+      parts.push(`default: ${JSON.stringify(String(field.default))}`);
+    }
+    return `      {\n        ${parts.join(',\n        ')}\n      }`;
+  }).join(',\n') + '\n    ]';
+}
+
+// Generate a REST hook trigger (subscribe/unsubscribe to webhooks described by
+// OpenAPI 3.1 webhooks or operation callbacks)
+function generateHookTrigger(triggerConfig, mapper, generator) {
+  const key = triggerConfig.key;
+  const hook = triggerConfig.hook;
+  const subscribeEndpoint = triggerConfig.subscribeEndpoint;
+  const unsubscribeEndpoint = triggerConfig.unsubscribeEndpoint;
+  const listEndpoint = triggerConfig.endpoint || null;
+  const subscribeConfig = triggerConfig.subscribe || {};
+  const unsubscribeConfig = triggerConfig.unsubscribe || {};
+  const noun = triggerConfig.noun
+    || (listEndpoint ? mapper.getNoun(listEndpoint.operationId, listEndpoint.path) : mapper.getNoun(hook.operationId, subscribeEndpoint.path));
+  const displayLabel = titleCase(triggerConfig.customName || hook.summary || `New ${noun}`);
+
+  // Subscribe path params (e.g., /accounts/{account_id}/webhooks) are asked from the user
+  const subscribePathParams = subscribeEndpoint.parameters.filter(p => p.in === 'path');
+  const inputFields = mapper.parametersToZapierFields(subscribePathParams);
+
+  // Where the subscribe request carries bundle.targetUrl:
+  // explicit config, then the callback expression (e.g., {$request.body#/callback_url}), then "url"
+  let targetUrlIn = 'body';
+  let targetUrlField = subscribeConfig.targetUrlField || null;
+  if (!targetUrlField && hook.expression) {
+    const bodyMatch = hook.expression.match(/^\{\$request\.body#\/([^/}]+)\}/);
+    const queryMatch = hook.expression.match(/^\{\$request\.query\.([^}]+)\}/);
+    if (bodyMatch) {
+      targetUrlField = bodyMatch[1];
+    } else if (queryMatch) {
+      targetUrlIn = 'query';
+      targetUrlField = queryMatch[1];
+    }
+  }
+  targetUrlField = targetUrlField || 'url';
+
+  let subscribeCode = `  let url = apiUrl(bundle, '${subscribeEndpoint.path}');\n`;
+  subscribePathParams.forEach(param => {
+    subscribeCode += `  url = url.replace('{${escapeForJsString(param.name)}}', encodeURIComponent(${generateParamAccessorCode('bundle.inputData', param.name)}));\n`;
+  });
+  const staticBody = subscribeConfig.body || {};
+  subscribeCode += `  const requestBody = ${JSON.stringify(staticBody)};\n`;
+  let subscribeParamsCode = '';
+  if (targetUrlIn === 'query') {
+    subscribeCode += `  const params = { ${JSON.stringify(targetUrlField)}: bundle.targetUrl };\n`;
+    subscribeParamsCode = '\n    params: params,';
+  } else {
+    subscribeCode += `  ${generateParamAccessorCode('requestBody', targetUrlField)} = bundle.targetUrl;\n`;
+  }
+  subscribeCode += `\n  const response = await z.request({\n    method: '${subscribeEndpoint.method.toUpperCase()}',\n    url: url,${subscribeParamsCode}\n    body: requestBody,\n  });\n\n`;
+  subscribeCode += `  // Zapier stores the returned subscription in bundle.subscribeData for unsubscribing\n  return response.json;`;
+
+  // The subscription id comes from the subscribe response; other path params from the user input
+  const idField = subscribeConfig.idField || 'id';
+  const subscriptionIdCode = generateParamAccessorCode('bundle.subscribeData', idField);
+  const unsubscribePathParams = unsubscribeEndpoint.parameters.filter(p => p.in === 'path');
+  const idParam = unsubscribeConfig.idParam
+    || (unsubscribePathParams.length > 0 ? unsubscribePathParams[unsubscribePathParams.length - 1].name : null);
+  let unsubscribeCode = `  let url = apiUrl(bundle, '${unsubscribeEndpoint.path}');\n`;
+  unsubscribePathParams.forEach(param => {
+    const valueCode = param.name === idParam
+      ? subscriptionIdCode
+      : generateParamAccessorCode('bundle.inputData', param.name);
+    unsubscribeCode += `  url = url.replace('{${escapeForJsString(param.name)}}', encodeURIComponent(${valueCode}));\n`;
+  });
+  let unsubscribeBodyCode = '';
+  if (!idParam) {
+    // No path param for the id, so send it in the body
+    unsubscribeBodyCode = `\n    body: { ${JSON.stringify(idField)}: ${subscriptionIdCode} },`;
+  }
+  unsubscribeCode += `\n  const response = await z.request({\n    method: '${unsubscribeEndpoint.method.toUpperCase()}',\n    url: url,${unsubscribeBodyCode}\n  });\n\n`;
+  unsubscribeCode += `  // Some APIs return 204 No Content when a subscription is deleted\n  return response.status === 204 ? {} : response.json;`;
+
+  // perform receives the webhook payload the API sent to bundle.targetUrl
+  const payloadArrayProperty = triggerConfig.payloadArrayProperty || null;
+  let performCode = '  const payload = bundle.cleanedRequest;\n';
+  if (payloadArrayProperty) {
+    const payloadItemsCode = generateParamAccessorCode('payload', payloadArrayProperty);
+    performCode += `  const items = payload && ${payloadItemsCode} !== undefined ? ${payloadItemsCode} : payload;\n`;
+  } else {
+    performCode += '  const items = payload;\n';
+  }
+  performCode += '  return Array.isArray(items) ? items : [items];';
+
+  // Sample is one item of the webhook payload
+  let sampleObject = hook.payload ? mapper.extractResponseSample(hook.payload) : null;
+  if (sampleObject && payloadArrayProperty && Array.isArray(sampleObject[payloadArrayProperty])) {
+    sampleObject = sampleObject[payloadArrayProperty][0];
+    // Generated samples leave arrays empty, so build one item from the item schema
+    const payloadProperties = hook.payload.schema.properties || {};
+    const itemSchema = payloadProperties[payloadArrayProperty] && payloadProperties[payloadArrayProperty].items;
+    if (!sampleObject && itemSchema) {
+      sampleObject = mapper.extractSample(itemSchema);
+    }
+  } else if (Array.isArray(sampleObject)) {
+    sampleObject = sampleObject[0];
+  }
+  sampleObject = buildSampleObject(sampleObject, { requireId: true });
+
+  // performList is used when testing the trigger in the Zap editor
+  let performListCode = '';
+  if (listEndpoint) {
+    const listResponse = listEndpoint.responses['200'];
+    let arrayProp = triggerConfig.arrayProperty || null;
+    if (!arrayProp && listResponse && listResponse.schema && listResponse.schema.type === 'object') {
+      arrayProp = mapper.getArrayPropertyName(listResponse.schema);
+    }
+    const listParams = triggerConfig.queryParams || {};
+    let listParamsCode = '';
+    if (Object.keys(listParams).length > 0) {
+      performListCode += `  const params = ${JSON.stringify(listParams)};\n`;
+      listParamsCode = '\n    params: params,';
+    }
+    performListCode += `  let url = apiUrl(bundle, '${listEndpoint.path}');\n`;
+    listEndpoint.parameters.filter(p => p.in === 'path').forEach(param => {
+      performListCode += `  url = url.replace('{${escapeForJsString(param.name)}}', encodeURIComponent(${generateParamAccessorCode('bundle.inputData', param.name)}));\n`;
+    });
+    performListCode += `\n  const response = await z.request({\n    method: 'GET',\n    url: url,${listParamsCode}\n  });\n\n`;
+    if (arrayProp) {
+      performListCode += `  return (response.json && ${generateParamAccessorCode('response.json', arrayProp)}) || [];`;
+    } else {
+      performListCode += `  return Array.isArray(response.json) ? response.json : [response.json];`;
+    }
+  } else {
+    // Without a list endpoint there is nothing to poll, so fall back to the sample payload
+    performListCode = `  // No list endpoint configured - return the sample payload so the trigger can be tested\n  return [module.exports.operation.sample];`;
+  }
+
+  const sourceDescription = hook.source === 'callback'
+    ? `callback "${hook.name}" (${hook.expression}) of operation ${subscribeEndpoint.operationId}`
+    : `webhook "${hook.name}"`;
+
+  const templateData = {
+    key,
+    noun,
+    displayLabel,
+    description: escapeForJsString((triggerConfig.title || hook.description || '').substring(0, 1000)),
+    sourceDescription,
+    subscribeMethod: subscribeEndpoint.method.toUpperCase(),
+    subscribePath: subscribeEndpoint.path,
+    unsubscribeMethod: unsubscribeEndpoint.method.toUpperCase(),
+    unsubscribePath: unsubscribeEndpoint.path,
+    subscribeCode,
+    unsubscribeCode,
+    performCode,
+    performListCode,
+    inputFieldsCode: generateSimpleInputFieldsCode(inputFields),
+    sampleCode: `sample: ${JSON.stringify(sampleObject, null, 2)},`,
+  };
+
+  return generator.generate('hook_trigger.template.js', templateData);
+}
+
+// Generate search file for a GET endpoint (finds existing records)
+function generateSearch(searchConfig, mapper, generator) {
+  const endpoint = searchConfig.endpoint;
+  const key = searchConfig.key;
+  const noun = mapper.getNoun(endpoint.operationId, endpoint.path);
+  const displayLabel = titleCase(searchConfig.customName || `Find ${noun}`);
+
+  const pathParams = endpoint.parameters.filter(p => p.in === 'path');
+  const queryParams = endpoint.parameters.filter(p => p.in === 'query');
+
+  // Auto-set query params are sent on every request and not shown to the user
+  const autoQueryParams = searchConfig.queryParams || {};
+  const autoQueryParamKeys = new Set(Object.keys(autoQueryParams));
+  const hideQueryParams = new Set(searchConfig.hideQueryParams || []);
+  const requiredFields = new Set(searchConfig.requiredFields || []);
+
+  const inputFields = mapper.parametersToZapierFields(endpoint.parameters)
+    .filter(field => !autoQueryParamKeys.has(field.key) && !hideQueryParams.has(field.key));
+
+  inputFields.forEach(field => {
+    if (requiredFields.has(field.key)) {
+      field.required = true;
+    }
+    if (searchConfig.fieldLabels && searchConfig.fieldLabels[field.key]) {
+      field.label = searchConfig.fieldLabels[field.key];
     }
-    
-    // Check if there are more pages
-    // Continue if API says has_more AND we got a full page (indicating there might be more)
-    hasMore = response.json.has_more === true && pageResults.length === limit;
-    if (hasMore) {
-      offset += limit;
+    if (searchConfig.fieldHelpText && searchConfig.fieldHelpText[field.key]) {
+      field.helpText = searchConfig.fieldHelpText[field.key];
     }
+  });
+
+  // Build path parameters code
+  let pathParamsCode = '';
+  if (pathParams.length > 0) {
+    pathParams.forEach(param => {
+      pathParamsCode += `  url = url.replace('{${escapeForJsString(param.name)}}', encodeURIComponent(${generateParamAccessorCode('bundle.inputData', param.name)}));\n`;
+    });
+  } else {
+    pathParamsCode = '  // No path parameters';
   }
-  
-  // Use allResults from pagination
-  let results = allResults;`;
+
+  // Build query parameters code (auto-set params first, then user-provided ones)
+  let queryParamsCode = '';
+  let paramsCode = '';
+  const visibleQueryParams = queryParams.filter(p => !autoQueryParamKeys.has(p.name) && !hideQueryParams.has(p.name));
+  if (autoQueryParamKeys.size > 0 || visibleQueryParams.length > 0) {
+    queryParamsCode = '  const params = {};\n';
+    Object.entries(autoQueryParams).forEach(([paramKey, value]) => {
+      queryParamsCode += `  ${generateParamAccessorCode('params', paramKey)} = ${JSON.stringify(value)};\n`;
+    });
+    visibleQueryParams.forEach(param => {
+      const inputCode = generateParamAccessorCode('bundle.inputData', param.name);
+      queryParamsCode += `  if (${inputCode} !== undefined && ${inputCode} !== '') {\n`;
+      queryParamsCode += `    ${generateParamAccessorCode('params', param.name)} = ${inputCode};\n`;
+      queryParamsCode += `  }\n`;
+    });
+    paramsCode = 'params: params,';
   } else {
-    // Single request (no pagination)
-    // Generate custom header code
-    const customHeaderCode = generateCustomHeaderCode(customHeader);
-    const customHeaderStr = customHeaderCode ? customHeaderCode.trim() : '';
-    
-    requestCode = `  const response = await z.request({
-    method: '${endpoint.method.toUpperCase()}',
-    url: url,
-    ${paramsCode}
-    headers: {
-      Authorization: \`Bearer \${bundle.authData.access_token}\`,
-      'Content-Type': 'application/json',${customHeaderStr ? '\n      ' + customHeaderStr : ''}
-    },
-  });
+    queryParamsCode = '  // No query parameters';
+  }
+
+  // Build result extraction code
+  // Searches must return an array; an empty array means "nothing found"
+  const successResponse = endpoint.responses['200'] || endpoint.responses['201'];
+  let arrayProp = searchConfig.arrayProperty || null;
+  if (!arrayProp && successResponse && successResponse.schema && successResponse.schema.type === 'object') {
+    arrayProp = mapper.getArrayPropertyName(successResponse.schema);
+  }
+
+  let resultsCode = '';
+  if (arrayProp) {
+    resultsCode = `  let results = (response.json && ${generateParamAccessorCode('response.json', arrayProp)}) || [];`;
+  } else {
+    // Array responses are used directly, a single object becomes a one-item result
+    resultsCode = '  const data = response.json;\n' +
+      '  let results = Array.isArray(data) ? data : data ? [data] : [];';
+  }
+
+  // Optional client-side filters (exact matches against fields of each result)
+  let filterCode = '';
+  const filters = searchConfig.filters || {};
+  if (Object.keys(filters).length > 0) {
+    const filterConditions = Object.entries(filters).map(([filterKey, filterValue]) =>
+      `${generateParamAccessorCode('item', filterKey)} === ${JSON.stringify(filterValue)}`
+    );
+    filterCode = `\n  // Filter results based on config\n  results = results.filter((item) => {\n    return ${filterConditions.join(' &&\n    ')};\n  });`;
+  }
+
+  const inputFieldsCode = generateSimpleInputFieldsCode(inputFields);
 
-  let results = ${responseCode};`;
+  // Sample is a single result item
+  let sampleObject = successResponse ? mapper.extractResponseSample(successResponse) : null;
+  if (Array.isArray(sampleObject)) {
+    sampleObject = sampleObject[0] || {};
+  } else if (sampleObject && typeof sampleObject === 'object' && arrayProp && Array.isArray(sampleObject[arrayProp])) {
+    sampleObject = sampleObject[arrayProp][0] || {};
   }
+  sampleObject = buildSampleObject(sampleObject, { requireId: true });
+  const sampleCode = `sample: ${JSON.stringify(sampleObject, null, 2)},`;
+
+  const description = searchConfig.title || `Finds a ${noun.toLowerCase()} matching the given criteria.`;
 
   const templateData = {
     key,
     noun,
     displayLabel,
-    description: escapeForJsString(description),
-    hiddenProperty,
+    description: escapeForJsString(description.substring(0, 1000)),
     operationId: endpoint.operationId,
-    method: endpoint.method.toUpperCase(),
     path: endpoint.path,
-    baseUrl,
     pathParamsCode,
     queryParamsCode,
     paramsCode,
-    responseCode,
-    requestCode,
-    sortCode,
+    resultsCode,
     filterCode,
-    labelCode,
     inputFieldsCode,
     sampleCode,
   };
 
-  return generator.generate('trigger.template.js', templateData);
+  // The input fields and result keys are returned too, so search-or-creates can map fields between the steps
+  return {
+    code: generator.generate('search.template.js', templateData),
+    inputFields,
+    outputKeys: Object.keys(sampleObject),
+  };
 }
 
 // Generate authentication file
-function generateAuthentication(baseUrl, generator, authConfig, customHeader = null) {
-  // Build helpLink code (only if helpLink is provided)
-  const helpLinkCode = authConfig.helpLink 
-    ? `      helpLink: "${authConfig.helpLink}",`
-    : '';
-  
-  // Build connectionLabel code
-  let connectionLabelCode;
-  if (authConfig.connectionLabel.type === 'function') {
+function generateAuthentication(generator, authConfig) {
+  const connectionLabelCode = generateConnectionLabelCode(authConfig.connectionLabel);
+
+  const auth = authConfig.auth;
+  const testUrlCode = `apiUrl(bundle, '${escapeForJsString(authConfig.testEndpoint)}')`;
+  const fieldsCode = generateAuthFieldsCode(auth, authConfig);
+
+  if (auth.type === 'oauth2') {
+    const oauth2 = authConfig.oauth2;
+    return generator.generate('authentication_oauth2.template.js', {
+      testUrlCode,
+      schemeName: oauth2.schemeName,
+      // Zapier fills {{bundle.inputData.key}} in authorizeUrl itself
+      authorizationUrl: escapeForJsString(oauth2.authorizationUrl.replace(AUTH_DATA_REFERENCE_PATTERN, '{{bundle.inputData.$1}}')),
+      tokenUrlCode: generateAuthDataStringCode(oauth2.tokenUrl, 'inputData'),
+      refreshUrlCode: generateAuthDataStringCode(oauth2.refreshUrl),
+      scope: escapeForJsString(oauth2.scope),
+      fieldsCode,
+      computedFieldsCode: generateComputedAuthFieldsCode(authConfig.authFields),
+      connectionLabel: connectionLabelCode,
+    });
+  }
+
+  if (auth.type === 'session') {
+    const session = authConfig.session;
+    return generator.generate('authentication_session.template.js', {
+      testUrlCode,
+      loginUrlCode: `apiUrl(bundle, '${escapeForJsString(session.loginPath)}')`,
+      loginMethod: session.loginMethod,
+      loginPath: session.loginPath,
+      usernameField: escapeForJsString(session.usernameField),
+      passwordField: escapeForJsString(session.passwordField),
+      formEncoded: session.formEncoded,
+      tokenAccessorCode: generatePathAccessorCode('response.json', session.tokenPath),
+      fieldsCode,
+      computedFieldsCode: generateComputedAuthFieldsCode(authConfig.authFields),
+      connectionLabel: connectionLabelCode,
+    });
+  }
+
+  const templateData = {
+    testUrlCode,
+    // Zapier's own basic auth would add the header to every request (file downloads included),
+    // so basic credentials are custom fields sent by prepareRequest to API URLs only
+    authType: auth.type === 'basic' ? 'custom' : auth.type,
+    fieldsCode,
+    connectionLabel: connectionLabelCode,
+  };
+  return generator.generate('authentication.template.js', templateData);
+}
+
+/**
+ * Generate the `fields` array for authentication.js
+ * Basic and session auth ask for a username and password, custom auth for the single fieldKey credential
+ * and OAuth2 for nothing; the configured extra fields (subdomain, account ID, ...) follow
+ */
+function generateAuthFieldsCode(auth, authConfig) {
+  let fields = [];
+  if (auth.type === 'basic' || auth.type === 'session') {
+    fields = [
+      { key: 'username', label: authConfig.usernameLabel || (authConfig.session && authConfig.session.usernameField === 'email' ? 'Email' : 'Username'), required: true },
+      { key: 'password', label: authConfig.passwordLabel || 'Password', type: 'password', required: true },
+    ];
+  } else if (auth.type !== 'oauth2') {
+    fields = [{
+      key: auth.fieldKey,
+      label: authConfig.fieldLabel || 'API Key',
+      type: authConfig.fieldType || 'password',
+      required: true,
+      helpText: authConfig.helpText || 'Enter your API key',
+    }];
+  }
+  if (authConfig.helpLink && fields.length > 0) {
+    fields[fields.length - 1].helpLink = authConfig.helpLink;
+  }
+  fields.push(...(authConfig.authFields || []).map(field => field.definition));
+  return JSON.stringify(fields, null, 2);
+}
+
+/**
+ * Generate the computed auth fields returned by getAccessToken / sessionConfig.perform
+ * Each is read from the token or login response at its responsePath
+ */
+function generateComputedAuthFieldsCode(authFields) {
+  return (authFields || [])
+    .filter(field => field.definition.computed)
+    .map(field => `\n    ${field.definition.key}: ${generatePathAccessorCode('response.json', field.responsePath)},`)
+    .join('');
+}
+
+/**
+ * Generate the connectionLabel value for authentication.js
+ * A "function" label becomes a (possibly async) function; a "string" label a string literal
+ */
+function generateConnectionLabelCode(connectionLabel) {
+  if (connectionLabel && connectionLabel.type === 'function') {
     // Check if it's an async function (contains await or starts with {)
-    const isAsync = authConfig.connectionLabel.value.includes('await') || authConfig.connectionLabel.value.trim().startsWith('{');
+    const isAsync = connectionLabel.value.includes('await') || connectionLabel.value.trim().startsWith('{');
     if (isAsync) {
       // Async function format: async (z, bundle) => { ... }
-      connectionLabelCode = `async (z, bundle) => ${authConfig.connectionLabel.value}`;
-    } else {
-      // Regular function format: (bundle) => { ... }
-      connectionLabelCode = `(bundle) => ${authConfig.connectionLabel.value}`;
+      return `async (z, bundle) => ${connectionLabel.value}`;
     }
-  }  
-  // Build Authorization header string (fieldKey needs to be inserted into template literal)
-  const authHeader = `Authorization: \`Bearer \${bundle.authData.${authConfig.fieldKey}}\`,`;
-  
-  // Generate custom header code
-  const customHeaderCode = generateCustomHeaderCode(customHeader);
-  
-  const templateData = {
-    baseUrl,
-    testEndpoint: authConfig.testEndpoint,
-    authType: authConfig.authType,
-    fieldKey: authConfig.fieldKey,
-    fieldLabel: authConfig.fieldLabel,
-    fieldType: authConfig.fieldType,
-    helpText: authConfig.helpText,
-    helpLinkCode,
-    connectionLabel: connectionLabelCode,
-    authHeader,
+    // Regular function format: (bundle) => { ... }
+    return `(bundle) => ${connectionLabel.value}`;
+  }
+  const label = connectionLabel && connectionLabel.value ? connectionLabel.value : 'API Account';
+  return `'${escapeForJsString(label)}'`;
+}
+
+/**
+ * Generate the part of prepareRequest (lib/request.js) that sends the credentials the way the
+ * security scheme expects (Authorization header, API key header, query parameter or cookie)
+ */
+function generateAuthInjectionCode(auth, loginPath = null) {
+  const fieldKey = auth.fieldKey;
+  const credential = fieldKey ? `bundle.authData.${fieldKey}` : null;
+  const paramName = auth.paramName ? escapeForJsString(auth.paramName) : null;
+
+  let injectCode;
+  switch (auth.placement) {
+    case 'basic':
+      injectCode = `  // Send the username and password as a Basic Authorization header
+  if (bundle.authData.username && !request.headers.Authorization) {
+    const basicCredentials = Buffer.from(\`\${bundle.authData.username}:\${bundle.authData.password || ''}\`).toString('base64');
+    request.headers.Authorization = \`Basic \${basicCredentials}\`;
+  }`;
+      break;
+    case 'header':
+      injectCode = `  // Send the ${auth.type === 'session' ? 'session token' : 'API key'} in the ${paramName} header
+  if (${credential} && !request.headers['${paramName}']) {
+    request.headers['${paramName}'] = ${credential};
+  }`;
+      break;
+    case 'query':
+      injectCode = `  // Send the API key as the ${paramName} query parameter
+  if (${credential}) {
+    request.params = { ...request.params, '${paramName}': ${credential} };
+  }`;
+      break;
+    case 'cookie':
+      injectCode = `  // Send the API key as the ${paramName} cookie
+  if (${credential}) {
+    const cookie = \`${paramName}=\${encodeURIComponent(${credential})}\`;
+    request.headers.Cookie = request.headers.Cookie ? \`\${request.headers.Cookie}; \${cookie}\` : cookie;
+  }`;
+      break;
+    default:
+      injectCode = `  // Send the ${{ oauth2: 'OAuth2 access token', session: 'session token' }[auth.type] || 'token'} as a Bearer token
+  if (${credential} && !request.headers.Authorization) {
+    request.headers.Authorization = \`Bearer \${${credential}}\`;
+  }`;
+  }
+
+  // Zapier may add auth fields to the query string on its own; keep them out unless the scheme puts them there
+  const cleanupCode = auth.type === 'custom' && auth.placement !== 'query'
+    ? `  // Remove ${fieldKey} from query params if Zapier added it automatically
+  if (request.params && request.params.${fieldKey}) {
+    delete request.params.${fieldKey};
+  }
+  // Remove from URL if it was added as a query string
+  if (request.url.includes('${fieldKey}=')) {
+    request.url = request.url.replace(/[?&]${fieldKey}=[^&]*/, '');
+    // Clean up any trailing ? or & after removal
+    request.url = request.url.replace(/[?&]$/, '');
+    request.url = request.url.replace(/\\?&/, '?');
+  }
+
+`
+    : '';
+
+  // The login request must not carry the (possibly expired) session token it replaces
+  const loginCheckCode = loginPath
+    ? `  // Don't send the old session token to the login endpoint
+  if (request.url === apiUrl(bundle, '${escapeForJsString(loginPath)}')) {
+    return request;
+  }
+
+`
+    : '';
+
+  return `${cleanupCode}${loginCheckCode}${injectCode}`;
+}
+
+/**
+ * Generate lib/request.js, which owns the base URL, JSON encoding, the custom header and
+ * credentials for every API request
+ */
+function generateRequestLib(baseUrl, generator, authConfig, customHeader = null) {
+  let customHeaderCode = '';
+  if (customHeader && customHeader.name && customHeader.value) {
+    const headerName = escapeForJsString(customHeader.name);
+    const headerValueCode = generateAuthDataStringCode(customHeader.value);
+    customHeaderCode = `  request.headers['${headerName}'] = ${headerValueCode};`;
+  }
+
+  // Connections made before selectServer was enabled have no server; they keep using the first one
+  let baseUrlCode = generateAuthDataStringCode(baseUrl);
+  if (authConfig.defaultServerUrl) {
+    baseUrlCode += ` || '${escapeForJsString(authConfig.defaultServerUrl)}'`;
+  }
+
+  return generator.generate('request.template.js', {
+    baseUrlCode,
     customHeaderCode,
-  };
-  return generator.generate('authentication.template.js', templateData);
+    authCode: generateAuthInjectionCode(authConfig.auth, authConfig.session ? authConfig.session.loginPath : null),
+  });
+}
+
+/**
+ * Fill in the field mappings of a search-or-create that the config leaves out
+ * - searchUniqueInputToOutputConfig: search inputs the create action also takes, mapped by key
+ * - updateInputFromSearchOutput: update action inputs that are also search result keys (e.g. id)
+ * Warns when the create action doesn't take every required search input, since Zapier passes
+ * the search inputs on to the create step
+ */
+function resolveSearchOrCreateMappings(soc, search, actionInputFields) {
+  const createKeys = new Set(actionInputFields[soc.create].map(field => field.key));
+  const missingKeys = search.inputFields
+    .filter(field => field.required && !createKeys.has(field.key))
+    .map(field => field.key);
+  if (missingKeys.length > 0) {
+    console.warn(`  ⚠️  Warning: Search-or-create "${soc.key}": action "${soc.create}" has no input for required search field(s) ${missingKeys.join(', ')}.`);
+  }
+
+  if (!soc.searchUniqueInputToOutputConfig) {
+    const sharedKeys = search.inputFields.map(field => field.key).filter(key => createKeys.has(key));
+    if (sharedKeys.length > 0) {
+      soc.searchUniqueInputToOutputConfig = Object.fromEntries(sharedKeys.map(key => [key, key]));
+    }
+  }
+
+  if (soc.update && !soc.updateInputFromSearchOutput) {
+    const outputKeys = new Set(search.outputKeys);
+    const updateKeys = actionInputFields[soc.update].map(field => field.key).filter(key => outputKeys.has(key));
+    if (updateKeys.length > 0) {
+      soc.updateInputFromSearchOutput = Object.fromEntries(updateKeys.map(key => [key, key]));
+    }
+  }
 }
 
 // Generate index.js
-function generateIndex(version, actions, triggers, generator, authConfig, customHeader = null) {
+function generateIndex(version, actions, triggers, searches, searchOrCreates, generator, authConfig) {
   // Build requires - handle case where same key exists as both action and trigger
   const actionKeys = new Set(actions.map(a => a.key));
   const triggerKeys = new Set(triggers.map(t => t.key));
@@ -2343,36 +3970,75 @@ function generateIndex(version, actions, triggers, generator, authConfig, custom
     return `    ${key}: ${varName}`;
   }).join(',\n') || '    // No triggers';
   
-  // Build beforeRequest hook code with dynamic fieldKey
-  const fieldKey = authConfig.fieldKey || 'access_token';
-  // Generate custom header code for beforeRequest hook
-  let customHeaderCode = '';
-  if (customHeader && customHeader.name && customHeader.value) {
-    const headerName = escapeForJsString(customHeader.name);
-    const headerValue = escapeForJsString(customHeader.value);
-    customHeaderCode = `\n      // Add custom header\n      request.headers['${headerName}'] = '${headerValue}';`;
-  }
-  const beforeRequestCode = `    (request, z, bundle) => {
-      // Remove ${fieldKey} from query params if Zapier added it automatically
-      if (request.params && request.params.${fieldKey}) {
-        delete request.params.${fieldKey};
-      }
-      // Remove from URL if it was added as a query string
-      if (request.url && request.url.includes('${fieldKey}=')) {
-        request.url = request.url.replace(/[?&]${fieldKey}=[^&]*/, '');
-        // Clean up any trailing ? or & after removal
-        request.url = request.url.replace(/[?&]$/, '');
-        request.url = request.url.replace(/\\?&/, '?');
-      }
-      // Add authentication header if not already present
-      if (!request.headers.Authorization) {
-        request.headers.Authorization = \`Bearer \${bundle.authData.${fieldKey}}\`;
-      }${customHeaderCode}
-      return request;
-    }`;
+  // Searches share the module scope with actions and triggers, so suffix on collisions
+  const searchVarName = (key) => (actionKeys.has(key) || triggerKeys.has(key) ? `${key}Search` : key);
+  const searchesRequires = searches.map(s => {
+    return `const ${searchVarName(s.key)} = require('./searches/${s.key}');`;
+  }).join('\n') || '// No searches';
+  
+  const searchesCode = searches.map(s => {
+    return `    ${s.key}: ${searchVarName(s.key)}`;
+  }).join(',\n') || '    // No searches';
+  
+  // Search-or-creates reference the search and create (and optional update) by key
+  // updateInputFromSearchOutput / searchUniqueInputToOutputConfig map fields between the steps
+  const searchOrCreatesCode = searchOrCreates.map(soc => {
+    const definition = {
+      key: soc.key,
+      display: {
+        label: titleCase(soc.label),
+        description: soc.description,
+      },
+      search: soc.key,
+      create: soc.create,
+    };
+    if (soc.update) {
+      definition.update = soc.update;
+    }
+    if (soc.updateInputFromSearchOutput) {
+      definition.updateInputFromSearchOutput = soc.updateInputFromSearchOutput;
+    }
+    if (soc.searchUniqueInputToOutputConfig) {
+      definition.searchUniqueInputToOutputConfig = soc.searchUniqueInputToOutputConfig;
+    }
+    return `    ${soc.key}: ${JSON.stringify(definition, null, 2)}`;
+  }).join(',\n') || '    // No search-or-creates';
+  
+  // Credentials and the custom header are added by prepareRequest (lib/request.js)
+  const loginPath = authConfig.session ? authConfig.session.loginPath : null;
   
   // Build afterResponse hook to handle 4XX errors nicely
-  const afterResponseCode = `    (response, z, bundle) => {
+  let refreshAuthCode = '';
+  if (authConfig.auth.type === 'oauth2') {
+    // A 401 from the token endpoint means the code or refresh token is invalid; refreshing again would loop
+    const tokenUrlsCode = [...new Set([
+      generateAuthDataStringCode(authConfig.oauth2.tokenUrl, 'inputData'),
+      generateAuthDataStringCode(authConfig.oauth2.refreshUrl),
+    ])].join(', ');
+    refreshAuthCode = `
+      // An expired access token makes Zapier run refreshAccessToken and retry
+      // (only for API requests, not the token endpoint or other hosts such as file downloads)
+      const tokenUrls = [${tokenUrlsCode}];
+      if (response.status === 401 && isApiUrl(response.request.url, bundle) && !tokenUrls.includes(response.request.url)) {
+        throw new z.errors.RefreshAuthError();
+      }
+`;
+  } else if (loginPath) {
+    // A 401 from the login request itself means the username or password is wrong
+    refreshAuthCode = `
+      // An expired session token makes Zapier run sessionConfig.perform and retry
+      // (only for API requests, not other hosts such as file downloads)
+      if (response.status === 401 && isApiUrl(response.request.url, bundle) && response.request.url !== apiUrl(bundle, '${escapeForJsString(loginPath)}')) {
+        throw new z.errors.RefreshAuthError();
+      }
+`;
+  }
+  const afterResponseCode = `    (response, z, bundle) => {${refreshAuthCode}
+      // Requests that check the status themselves (e.g. searches treating 404 as no match)
+      if (response.request.skipThrowForStatus) {
+        return response;
+      }
+
       // Handle 4XX client errors with user-friendly messages
       if (response.status >= 400 && response.status < 500) {
         let errorMessage = \`API Error (\${response.status})\`;
@@ -2433,9 +4099,16 @@ function generateIndex(version, actions, triggers, generator, authConfig, custom
     version,
     actionsRequires,
     triggersRequires,
+    searchesRequires,
     actionsCode,
     triggersCode,
-    beforeRequestCode,
+    searchesCode,
+    searchOrCreatesCode,
+    requestLibImports: [
+      'prepareRequest',
+      loginPath ? 'apiUrl' : null,
+      authConfig.auth.type === 'oauth2' || loginPath ? 'isApiUrl' : null,
+    ].filter(Boolean).join(', '),
     afterResponseCode,
   };
   return generator.generate('index.template.js', templateData);
@@ -2492,15 +4165,18 @@ function getExactVersion(packageName) {
 }
 
 // Generate package.json
-async function generatePackageJson(version, generator) {
+async function generatePackageJson(version, generator, options = {}) {
   // Fetch exact versions required by Zapier
   const zapierCoreVersion = getExactVersion('zapier-platform-core');
   const zapierCliVersion = getExactVersion('zapier-platform-cli');
+  // form-data is only needed when an action sends multipart/form-data
+  const formDataVersion = options.usesFormData ? getExactVersion('form-data') : null;
   
   const templateData = {
     version,
     zapierCoreVersion,
     zapierCliVersion,
+    formDataVersion,
   };
   return generator.generate('package.template.json', templateData);
 }
@@ -2541,7 +4217,7 @@ async function generate() {
 
   // Parse OpenAPI schema
   console.log('\n📖 Parsing OpenAPI schema...');
-  const parser = new OpenAPIParser(config.schemaUrl);
+  const parser = new OpenAPIParser(config.schemaUrl, { maxCircularDepth: config.maxCircularDepth });
   
   try {
     await parser.load(config.updateCache);
@@ -2550,6 +4226,12 @@ async function generate() {
     } else {
       console.log('✅ Schema loaded from cache');
     }
+    if (parser.externalDocuments.size > 0) {
+      console.log(`📎 Bundled ${parser.externalDocuments.size} external document(s) referenced via $ref`);
+    }
+    if (parser.isSwagger2()) {
+      console.log(`🔄 Converted Swagger ${parser.swaggerVersion} document to OpenAPI 3`);
+    }
   } catch (error) {
     console.error(`❌ Error loading schema: ${error.message}`);
     process.exit(1);
@@ -2568,14 +4250,26 @@ async function generate() {
     console.log(`📌 Using override version: ${version}`);
   }
 
-  const baseUrl = parser.getBaseUrl();
+  let baseUrl = parser.getBaseUrl();
   console.log(`🌐 Base URL: ${baseUrl}`);
+  if (/\{[^}]+\}/.test(baseUrl)) {
+    console.warn(`⚠️  Warning: Base URL has server variables without a default; set "baseUrl" in authentication-config.json.`);
+  }
 
   // Extract endpoints
   console.log('\n🔍 Extracting endpoints...');
   const endpoints = parser.extractEndpoints();
   console.log(`✅ Found ${endpoints.length} endpoints`);
 
+  // Report circular $ref chains that were truncated during schema resolution
+  const circularRefs = parser.getCircularRefs();
+  if (circularRefs.length > 0) {
+    console.log(`🔁 Truncated ${circularRefs.length} circular reference(s) (expansion depth: ${config.maxCircularDepth}):`);
+    circularRefs.forEach(cycle => {
+      console.log(`   ${cycle.join(' → ')}`);
+    });
+  }
+
   // Filter endpoints based on config, or use all endpoints
   let targetEndpoints = endpoints;
   if (config.endpoint) {
@@ -2608,9 +4302,44 @@ async function generate() {
     console.log(`📋 Custom header configured: ${customHeader.name} = ${customHeader.value}`);
   }
 
+  // Load search configuration
+  const searchConfig = loadSearchConfig();
+  console.log(`📋 Loaded search config: ${Object.keys(searchConfig.searches || {}).length} search(es) defined`);
+
   // Load authentication configuration
   const authConfig = loadAuthConfig();
-  console.log(`📋 Loaded authentication config: testEndpoint="${authConfig.testEndpoint}", fieldKey="${authConfig.fieldKey}"`);
+  authConfig.auth = resolveAuthScheme(authConfig, parser);
+  authConfig.authFields = resolveAuthFields(authConfig);
+  if (authConfig.baseUrl) {
+    // e.g. https://{{bundle.authData.subdomain}}.example.com/v1
+    baseUrl = authConfig.baseUrl;
+    console.log(`🌐 Base URL (from authentication config): ${baseUrl}`);
+    if (authConfig.selectServer) {
+      console.warn(`⚠️  Warning: "selectServer" is ignored because "baseUrl" is set in authentication-config.json.`);
+    }
+  } else if (authConfig.selectServer) {
+    const serverField = resolveServerField(authConfig, parser.getServers());
+    if (serverField) {
+      authConfig.authFields.unshift(serverField);
+      authConfig.defaultServerUrl = serverField.definition.default;
+      baseUrl = `{{bundle.authData.${serverField.definition.key}}}`;
+      console.log(`🌐 Base URL: chosen when connecting (${Object.keys(serverField.definition.choices).length} servers)`);
+    }
+  }
+  checkAuthDataReferences(authConfig, {
+    baseUrl,
+    [`customHeader "${customHeader ? customHeader.name : ''}"`]: customHeader ? customHeader.value : '',
+  });
+  if (authConfig.auth.type === 'oauth2') {
+    authConfig.oauth2 = resolveOAuth2Config({ ...authConfig, securityScheme: authConfig.auth.schemeName }, parser, baseUrl);
+    console.log(`📋 Loaded authentication config: authType="oauth2", scheme="${authConfig.oauth2.schemeName}", testEndpoint="${authConfig.testEndpoint}"`);
+  } else if (authConfig.auth.type === 'session') {
+    authConfig.session = resolveSessionConfig(authConfig, endpoints, mapper);
+    console.log(`📋 Loaded authentication config: authType="session", login="${authConfig.session.loginMethod} ${authConfig.session.loginPath}", tokenPath="${authConfig.session.tokenPath}", testEndpoint="${authConfig.testEndpoint}"`);
+  } else {
+    const schemeInfo = authConfig.auth.schemeName ? `, scheme="${authConfig.auth.schemeName}" (${authConfig.auth.placement})` : '';
+    console.log(`📋 Loaded authentication config: authType="${authConfig.auth.type}"${schemeInfo}, testEndpoint="${authConfig.testEndpoint}"`);
+  }
 
   // Classify endpoints
   const actions = [];
@@ -2624,6 +4353,11 @@ async function generate() {
       console.log(`  ⏭️  Skipping omitted action: ${endpoint.operationId}`);
       continue;
     }
+    // The session login operation is only called by authentication.js
+    if (authConfig.session && endpoint === authConfig.session.endpoint) {
+      console.log(`  ⏭️  Skipping session login operation: ${endpoint.operationId}`);
+      continue;
+    }
     
     // Add as action (endpoints can be both trigger and action)
     actions.push({ endpoint, key: endpoint.operationId, actionConfig: endpointActionConfig || {} });
@@ -2640,12 +4374,12 @@ async function generate() {
     const allTriggerConfigs = triggerConfig.triggers || {};
     
     for (const [triggerKey, triggerConfigForPath] of Object.entries(allTriggerConfigs)) {
-      // Match triggers by endpoint property
-      if (triggerConfigForPath.endpoint === endpointPath) {
+      // Match triggers by endpoint property (REST hook triggers are added below)
+      if (triggerConfigForPath.type !== 'hook' && triggerConfigForPath.endpoint === endpointPath) {
         const isHidden = triggerConfigForPath.hidden === true;
         
         // Validate required title field (only for non-hidden triggers)
-        if (!isHidden && !triggerConfigForPath.title) {
+        if (!isHidden && !triggerConfigForPath.title && triggerConfigForPath.mode !== 'updated') {
           console.error(`❌ Error: Trigger config "${triggerKey}" is missing required "title" field`);
           process.exit(1);
         }
@@ -2671,6 +4405,12 @@ async function generate() {
             filters: triggerConfigForPath.filters || {},
             label: triggerConfigForPath.label || null,
             hideQueryParams: triggerConfigForPath.hideQueryParams || [],
+            pagination: triggerConfigForPath.pagination || null,
+            incremental: triggerConfigForPath.incremental || null,
+            dedupeKey: triggerConfigForPath.dedupeKey || null,
+            mode: triggerConfigForPath.mode || 'new',
+            updatedField: triggerConfigForPath.updatedField || null,
+            idField: triggerConfigForPath.idField || null,
             dynamicFields: triggerConfigForPath.dynamicFields || {},
             fieldLabels: triggerConfigForPath.fieldLabels || {},
             fieldHelpText: triggerConfigForPath.fieldHelpText || {},
@@ -2704,6 +4444,12 @@ async function generate() {
             filters: triggerConfigForPath.filters || {},
             label: triggerConfigForPath.label || null,
             hideQueryParams: triggerConfigForPath.hideQueryParams || [],
+            pagination: triggerConfigForPath.pagination || null,
+            incremental: triggerConfigForPath.incremental || null,
+            dedupeKey: triggerConfigForPath.dedupeKey || null,
+            mode: triggerConfigForPath.mode || 'new',
+            updatedField: triggerConfigForPath.updatedField || null,
+            idField: triggerConfigForPath.idField || null,
             dynamicFields: triggerConfigForPath.dynamicFields || {},
             fieldLabels: triggerConfigForPath.fieldLabels || {},
             fieldHelpText: triggerConfigForPath.fieldHelpText || {},
@@ -2714,26 +4460,158 @@ async function generate() {
     }
   }
 
+  // REST hook triggers are driven by OpenAPI 3.1 webhooks or operation callbacks
+  const webhooks = parser.extractWebhooks();
+  const findConfiguredEndpoint = (endpointConfig, defaultMethod) => endpoints.find(
+    e => e.path === endpointConfig.endpoint && e.method === (endpointConfig.method || defaultMethod).toLowerCase()
+  );
+  for (const [triggerKey, hookConfig] of Object.entries(allTriggerConfigs)) {
+    if (hookConfig.type !== 'hook' || addedTriggerKeys.has(triggerKey)) {
+      continue;
+    }
+
+    if (!hookConfig.title || !hookConfig.title.startsWith('Triggers when ')) {
+      console.error(`❌ Error: Hook trigger "${triggerKey}" needs a "title" that starts with "Triggers when "`);
+      process.exit(1);
+    }
+
+    let hook = null;
+    let subscribeEndpoint = null;
+    if (hookConfig.webhook) {
+      const webhook = webhooks.find(w => w.name === hookConfig.webhook);
+      if (!webhook) {
+        console.error(`❌ Error: Hook trigger "${triggerKey}" references webhook "${hookConfig.webhook}" which is not defined in the schema's "webhooks"`);
+        process.exit(1);
+      }
+      hook = { ...webhook, source: 'webhook' };
+    } else {
+      // The operation that declares the callback is the default subscribe endpoint
+      for (const endpoint of endpoints) {
+        const callback = (endpoint.callbacks || []).find(c => c.name === hookConfig.callback);
+        if (callback) {
+          hook = { ...callback, source: 'callback' };
+          subscribeEndpoint = endpoint;
+          break;
+        }
+      }
+      if (!hook) {
+        console.error(`❌ Error: Hook trigger "${triggerKey}" references callback "${hookConfig.callback}" which is not declared by any operation`);
+        process.exit(1);
+      }
+    }
+
+    if (hookConfig.subscribe && hookConfig.subscribe.endpoint) {
+      subscribeEndpoint = findConfiguredEndpoint(hookConfig.subscribe, 'post');
+    }
+    const unsubscribeEndpoint = findConfiguredEndpoint(hookConfig.unsubscribe, 'delete');
+    if (!subscribeEndpoint || !unsubscribeEndpoint) {
+      const missing = !subscribeEndpoint ? hookConfig.subscribe : hookConfig.unsubscribe;
+      console.error(`❌ Error: Hook trigger "${triggerKey}" endpoint ${(missing.method || (!subscribeEndpoint ? 'post' : 'delete')).toUpperCase()} ${missing.endpoint} not found in the schema`);
+      process.exit(1);
+    }
+
+    // When generating for a single endpoint, only include hooks subscribed through it
+    if (config.endpoint && subscribeEndpoint.path !== config.endpoint) {
+      continue;
+    }
+
+    // Optional GET endpoint used by performList (testing the trigger in the Zap editor)
+    let listEndpoint = null;
+    if (hookConfig.endpoint) {
+      listEndpoint = endpoints.find(e => e.path === hookConfig.endpoint && e.method === 'get') || null;
+      if (!listEndpoint) {
+        console.warn(`  ⚠️  Warning: Hook trigger "${triggerKey}" list endpoint "${hookConfig.endpoint}" has no GET operation. performList will return the sample.`);
+      }
+    }
+
+    triggers.push({
+      ...hookConfig,
+      key: triggerKey,
+      customName: hookConfig.name,
+      hook,
+      subscribeEndpoint,
+      unsubscribeEndpoint,
+      endpoint: listEndpoint,
+    });
+    addedTriggerKeys.add(triggerKey);
+  }
+
+  // Searches come only from config and must point at a GET endpoint
+  const searches = [];
+  for (const [searchKey, searchConfigForPath] of Object.entries(searchConfig.searches || {})) {
+    const matchingEndpoint = targetEndpoints.find(
+      e => e.path === searchConfigForPath.endpoint && e.method.toLowerCase() === 'get'
+    );
+    if (!matchingEndpoint) {
+      if (!config.endpoint) {
+        console.warn(`  ⚠️  Warning: Search "${searchKey}" endpoint "${searchConfigForPath.endpoint}" has no GET operation. Skipping search.`);
+      }
+      continue;
+    }
+    searches.push({
+      ...searchConfigForPath,
+      endpoint: matchingEndpoint,
+      key: searchKey,
+      customName: searchConfigForPath.name,
+    });
+  }
+
+  // Search-or-creates pair a generated search with a generated action
+  // Zapier requires the search-or-create key to match the search key
+  const searchOrCreates = [];
+  const searchKeys = new Set(searches.map(s => s.key));
+  const actionKeys = new Set(actions.map(a => a.key));
+  for (const [searchKey, searchOrCreateConfig] of Object.entries(searchConfig.searchOrCreates || {})) {
+    const missing = [];
+    if (!searchKeys.has(searchKey)) {
+      missing.push(`search "${searchKey}"`);
+    }
+    if (!actionKeys.has(searchOrCreateConfig.create)) {
+      missing.push(`action "${searchOrCreateConfig.create}"`);
+    }
+    if (searchOrCreateConfig.update && !actionKeys.has(searchOrCreateConfig.update)) {
+      missing.push(`action "${searchOrCreateConfig.update}"`);
+    }
+    if (missing.length > 0) {
+      if (!config.endpoint) {
+        console.warn(`  ⚠️  Warning: Search-or-create "${searchKey}" references ${missing.join(' and ')} which was not generated. Skipping search-or-create.`);
+      }
+      continue;
+    }
+    const search = searches.find(s => s.key === searchKey);
+    const noun = mapper.getNoun(search.endpoint.operationId, search.endpoint.path);
+    searchOrCreates.push({
+      ...searchOrCreateConfig,
+      key: searchKey,
+      label: searchOrCreateConfig.name || `Find or Create ${noun}`,
+      description: searchOrCreateConfig.title || `Finds a ${noun.toLowerCase()} or creates it if it doesn't exist yet.`,
+    });
+  }
+
   // Generate files
   console.log('\n📝 Generating files...');
 
   // Create output directories
   const actionsDir = path.join(config.outputDir, 'actions');
   const triggersDir = path.join(config.outputDir, 'triggers');
+  const searchesDir = path.join(config.outputDir, 'searches');
   fs.mkdirSync(actionsDir, { recursive: true });
   fs.mkdirSync(triggersDir, { recursive: true });
+  if (searches.length > 0) {
+    fs.mkdirSync(searchesDir, { recursive: true });
+  }
 
   // Generate action files
+  const actionInputFields = {};
   for (const action of actions) {
-    const code = generateAction(
+    const { code, inputFields } = generateAction(
       action.endpoint,
-      baseUrl,
       mapper,
       generator,
       action.actionConfig || {},
-      triggerConfig,
-      customHeader
+      triggerConfig
     );
+    actionInputFields[action.key] = inputFields;
     const filePath = path.join(actionsDir, `${action.key}.js`);
     const formatted = await formatCode(code, filePath);
     generator.writeFile(filePath, formatted);
@@ -2742,7 +4620,7 @@ async function generate() {
 
   // Generate trigger files
   for (const trigger of triggers) {
-    const code = generateTrigger(trigger, baseUrl, mapper, generator, customHeader);
+    const code = generateTrigger(trigger, mapper, generator);
     const triggerPath = path.join(triggersDir, `${trigger.key}.js`);
     const formattedTrigger = await formatCode(code, triggerPath);
     generator.writeFile(triggerPath, formattedTrigger);
@@ -2750,22 +4628,49 @@ async function generate() {
     console.log(`  ✅ Generated: triggers/${trigger.key}.js (${triggerName})`);
   }
 
+  // Generate search files
+  const searchFields = {};
+  for (const search of searches) {
+    const { code, inputFields, outputKeys } = generateSearch(search, mapper, generator);
+    searchFields[search.key] = { inputFields, outputKeys };
+    const searchPath = path.join(searchesDir, `${search.key}.js`);
+    const formattedSearch = await formatCode(code, searchPath);
+    generator.writeFile(searchPath, formattedSearch);
+    const searchName = search.customName || search.key;
+    console.log(`  ✅ Generated: searches/${search.key}.js (${searchName})`);
+  }
+
+  // Generate lib/request.js (base URL, JSON encoding, custom header and credentials)
+  const libDir = path.join(config.outputDir, 'lib');
+  fs.mkdirSync(libDir, { recursive: true });
+  const requestLibCode = generateRequestLib(baseUrl, generator, authConfig, customHeader);
+  const requestLibPath = path.join(libDir, 'request.js');
+  const formattedRequestLib = await formatCode(requestLibCode, requestLibPath);
+  generator.writeFile(requestLibPath, formattedRequestLib);
+  console.log(`  ✅ Generated: lib/request.js`);
+
   // Generate authentication.js
-  const authCode = generateAuthentication(baseUrl, generator, authConfig, customHeader);
+  const authCode = generateAuthentication(generator, authConfig);
   const authPath = path.join(config.outputDir, 'authentication.js');
   const formattedAuth = await formatCode(authCode, authPath);
   generator.writeFile(authPath, formattedAuth);
   console.log(`  ✅ Generated: authentication.js`);
 
+  // Default the search-or-create field mappings from the fields the steps share
+  searchOrCreates.forEach(soc => resolveSearchOrCreateMappings(soc, searchFields[soc.key], actionInputFields));
+
   // Generate index.js
-  const indexCode = generateIndex(version, actions, triggers, generator, authConfig, customHeader);
+  const indexCode = generateIndex(version, actions, triggers, searches, searchOrCreates, generator, authConfig);
   const indexPath = path.join(config.outputDir, 'index.js');
   const formattedIndex = await formatCode(indexCode, indexPath);
   generator.writeFile(indexPath, formattedIndex);
   console.log(`  ✅ Generated: index.js`);
 
   // Generate package.json
-  const packageCode = await generatePackageJson(version, generator);
+  const usesFormData = actions.some(
+    action => action.endpoint.requestBody && action.endpoint.requestBody.contentType === 'multipart/form-data'
+  );
+  const packageCode = await generatePackageJson(version, generator, { usesFormData });
   const packagePath = path.join(config.outputDir, 'package.json');
   const formattedPackage = await formatCode(packageCode, packagePath);
   generator.writeFile(packagePath, formattedPackage);
@@ -2856,10 +4761,20 @@ async function generate() {
   console.log(`\n💡 Tip: Use 'npm run generate:clean' to remove generated directory before generation`);
 }
 
-// Run the generator
-generate().catch(error => {
-  console.error('❌ Fatal error:', error);
-  process.exit(1);
-});
+// Run the generator when called as a script (the tests require it for its helpers)
+if (require.main === module) {
+  generate().catch(error => {
+    console.error('❌ Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  resolveAuthScheme,
+  resolveOAuth2Config,
+  detectPaginationStrategy,
+  generatePaginationLoopCode,
+  generateRequestLib,
+};
 
  
\ No newline at end of file
@@ -12,6 +12,7 @@ const PROJECT_ROOT = process.cwd();
 const CONFIG_FILES = [
   'actions-config.json',
   'triggers-config.json',
+  'searches-config.json',
   'authentication-config.json'
 ];
 
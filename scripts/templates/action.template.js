@@ -2,11 +2,14 @@
 // Generated from OpenAPI operation: {{operationId}}
 // Endpoint: {{method}} {{path}}
 
-{{#if dynamicFieldsCode}}{{dynamicFieldsCode}}
+const { apiUrl } = require('../lib/request');
+
+{{#if importsCode}}{{importsCode}}
+
+{{/if}}{{#if dynamicFieldsCode}}{{dynamicFieldsCode}}
 
 {{/if}}const perform = async (z, bundle) => {
-  const baseUrl = '{{baseUrl}}';
-  let url = `${baseUrl}{{path}}`;
+  let url = apiUrl(bundle, '{{path}}');
   
   {{pathParamsCode}}
 
@@ -18,12 +21,11 @@
     method: '{{method}}',
     url: url,
     {{paramsCode}}
-    {{bodyCode}}
+    {{bodyCode}}{{#if rawResponse}}
+    raw: true,{{/if}}{{#if contentTypeHeaderCode}}
     headers: {
-      Authorization: `Bearer ${bundle.authData.access_token}`,
-      'Content-Type': 'application/json',{{#if customHeaderCode}}
-{{customHeaderCode}}{{/if}}
-    },
+      {{contentTypeHeaderCode}}
+    },{{/if}}
   });
 
   {{responseCode}}
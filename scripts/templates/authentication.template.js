@@ -1,29 +1,19 @@
 // Authentication configuration
 // Generated from OpenAPI schema
 
+const { apiUrl } = require('./lib/request');
+
 const authentication = {
   type: '{{authType}}',
   test: async (z, bundle) => {
+    // Credentials are added by prepareRequest in lib/request.js
     const response = await z.request({
-      url: '{{baseUrl}}{{testEndpoint}}',
+      url: {{testUrlCode}},
       method: 'GET',
-      headers: {
-        {{authHeader}}{{#if customHeaderCode}}
-        {{customHeaderCode}}{{/if}}
-      },
     });
     return response.json;
   },
-  fields: [
-    {
-      key: '{{fieldKey}}',
-      label: '{{fieldLabel}}',
-      type: '{{fieldType}}',
-      required: true,
-      helpText: '{{helpText}}',
-{{helpLinkCode}}
-    },
-  ],
+  fields: {{fieldsCode}},
   connectionLabel: {{connectionLabel}},
 };
 
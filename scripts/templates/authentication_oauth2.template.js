@@ -0,0 +1,81 @@
+// Authentication configuration
+// Generated from OpenAPI schema (OAuth2 authorization code flow: {{schemeName}})
+// Set CLIENT_ID and CLIENT_SECRET with `zapier env:set` (and in .env for local tests)
+
+const { apiUrl } = require('./lib/request');
+
+const getAccessToken = async (z, bundle) => {
+  const response = await z.request({
+    url: {{tokenUrlCode}},
+    method: 'POST',
+    body: {
+      grant_type: 'authorization_code',
+      code: bundle.inputData.code,
+      client_id: process.env.CLIENT_ID,
+      client_secret: process.env.CLIENT_SECRET,
+      redirect_uri: bundle.inputData.redirect_uri,
+    },
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+  });
+
+  // Everything returned here is stored in bundle.authData
+  return {
+    access_token: response.json.access_token,
+    refresh_token: response.json.refresh_token,{{computedFieldsCode}}
+  };
+};
+
+const refreshAccessToken = async (z, bundle) => {
+  const response = await z.request({
+    url: {{refreshUrlCode}},
+    method: 'POST',
+    body: {
+      grant_type: 'refresh_token',
+      refresh_token: bundle.authData.refresh_token,
+      client_id: process.env.CLIENT_ID,
+      client_secret: process.env.CLIENT_SECRET,
+    },
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+  });
+
+  // Some providers rotate the refresh token, others keep the original
+  return {
+    access_token: response.json.access_token,
+    refresh_token: response.json.refresh_token || bundle.authData.refresh_token,
+  };
+};
+
+const authentication = {
+  type: 'oauth2',
+  test: async (z, bundle) => {
+    // The access token is added by prepareRequest in lib/request.js
+    const response = await z.request({
+      url: {{testUrlCode}},
+      method: 'GET',
+    });
+    return response.json;
+  },
+  oauth2Config: {
+    authorizeUrl: {
+      url: '{{authorizationUrl}}',
+      params: {
+        client_id: '{{process.env.CLIENT_ID}}',
+        state: '{{bundle.inputData.state}}',
+        redirect_uri: '{{bundle.inputData.redirect_uri}}',
+        response_type: 'code',
+      },
+    },
+    getAccessToken,
+    refreshAccessToken,{{#if scope}}
+    scope: '{{scope}}',{{/if}}
+    autoRefresh: true,
+  },
+  fields: {{fieldsCode}},
+  connectionLabel: {{connectionLabel}},
+};
+
+module.exports = authentication;
@@ -0,0 +1,47 @@
+// Authentication configuration
+// Generated from OpenAPI schema (session auth via {{loginMethod}} {{loginPath}})
+
+const { apiUrl } = require('./lib/request');
+
+const getSessionKey = async (z, bundle) => {
+  const response = await z.request({
+    url: {{loginUrlCode}},
+    method: '{{loginMethod}}',
+    body: {
+      '{{usernameField}}': bundle.authData.username,
+      '{{passwordField}}': bundle.authData.password,
+    },{{#if formEncoded}}
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },{{/if}}
+  });
+
+  const sessionKey = {{tokenAccessorCode}};
+  if (!sessionKey) {
+    throw new z.errors.Error('The login response did not include a session token', 'AuthenticationError', response.status);
+  }
+
+  // Everything returned here is merged into bundle.authData
+  return {
+    sessionKey,{{computedFieldsCode}}
+  };
+};
+
+const authentication = {
+  type: 'session',
+  test: async (z, bundle) => {
+    // The session token is added by prepareRequest in lib/request.js
+    const response = await z.request({
+      url: {{testUrlCode}},
+      method: 'GET',
+    });
+    return response.json;
+  },
+  fields: {{fieldsCode}},
+  sessionConfig: {
+    perform: getSessionKey,
+  },
+  connectionLabel: {{connectionLabel}},
+};
+
+module.exports = authentication;
@@ -0,0 +1,42 @@
+// Trigger: {{displayLabel}} (REST Hook)
+// Generated from OpenAPI {{sourceDescription}}
+// Subscribe: {{subscribeMethod}} {{subscribePath}}
+// Unsubscribe: {{unsubscribeMethod}} {{unsubscribePath}}
+
+const { apiUrl } = require('../lib/request');
+
+const subscribeHook = async (z, bundle) => {
+{{subscribeCode}}
+};
+
+const unsubscribeHook = async (z, bundle) => {
+{{unsubscribeCode}}
+};
+
+const perform = async (z, bundle) => {
+  // The webhook payload the API sent to bundle.targetUrl
+{{performCode}}
+};
+
+const performList = async (z, bundle) => {
+{{performListCode}}
+};
+
+module.exports = {
+  key: '{{key}}',
+  noun: '{{noun}}',
+  display: {
+    label: '{{displayLabel}}',
+    description: '{{description}}',
+  },
+  operation: {
+    type: 'hook',
+    inputFields: {{inputFieldsCode}},
+    performSubscribe: subscribeHook,
+    performUnsubscribe: unsubscribeHook,
+    perform,
+    performList,
+    cleanInputData: false,
+    {{sampleCode}}
+  },
+};
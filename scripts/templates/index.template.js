@@ -2,20 +2,21 @@
 // Generated from OpenAPI schema
 
 const authentication = require('./authentication');
+const { {{requestLibImports}} } = require('./lib/request');
 
 {{actionsRequires}}
 
 {{triggersRequires}}
 
+{{searchesRequires}}
+
 const App = {
   version: require('./package.json').version,
   platformVersion: require('zapier-platform-core').version,
 
   authentication,
 
-  beforeRequest: [
-{{beforeRequestCode}},
-  ],
+  beforeRequest: [prepareRequest],
 
   afterResponse: [
 {{afterResponseCode}},
@@ -25,11 +26,17 @@ const App = {
     {{triggersCode}}
   },
 
-  searches: {},
+  searches: {
+    {{searchesCode}}
+  },
 
   creates: {
     {{actionsCode}}
   },
+
+  searchOrCreates: {
+    {{searchOrCreatesCode}}
+  },
 };
 
 module.exports = App;
@@ -0,0 +1,54 @@
+// Shared request handling
+// Generated from OpenAPI schema
+// Actions, triggers and searches build their URLs with apiUrl(); prepareRequest runs
+// before every request (beforeRequest in index.js) and adds JSON encoding, the custom
+// header and credentials, so none of them set headers or a base URL of their own
+
+// Base URL of the API
+const getBaseUrl = (bundle) => {{baseUrlCode}};
+
+// Absolute URL of an API path, e.g. apiUrl(bundle, '/items/{id}')
+const apiUrl = (bundle, path) => `${getBaseUrl(bundle)}${path}`;
+
+// Whether a URL points at the API: same origin, and the path is the base path or below it.
+// An empty or relative base URL matches nothing, so credentials are never sent blindly
+const isApiUrl = (url, bundle) => {
+  let base;
+  let target;
+  try {
+    base = new URL(getBaseUrl(bundle));
+    target = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (target.origin !== base.origin) {
+    return false;
+  }
+  const basePath = base.pathname.replace(/\/+$/, '');
+  return target.pathname === basePath || target.pathname.startsWith(`${basePath}/`);
+};
+
+const prepareRequest = (request, z, bundle) => {
+  // Only requests to the API itself get defaults and credentials (not file downloads or other hosts)
+  if (!request.url || !isApiUrl(request.url, bundle)) {
+    return request;
+  }
+
+  // Send JSON unless the request picked its own encoding (form, multipart, ...)
+  if (!request.headers['Content-Type'] && !request.headers['content-type']) {
+    request.headers['Content-Type'] = 'application/json';
+  }{{#if customHeaderCode}}
+
+  // Add custom header
+{{customHeaderCode}}{{/if}}
+
+{{authCode}}
+  return request;
+};
+
+module.exports = {
+  getBaseUrl,
+  apiUrl,
+  isApiUrl,
+  prepareRequest,
+};
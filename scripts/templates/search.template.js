@@ -0,0 +1,45 @@
+// Search: {{displayLabel}}
+// Generated from OpenAPI operation: {{operationId}}
+// Endpoint: GET {{path}}
+
+const { apiUrl } = require('../lib/request');
+
+const perform = async (z, bundle) => {
+  let url = apiUrl(bundle, '{{path}}');
+
+  {{pathParamsCode}}
+
+  {{queryParamsCode}}
+
+  const response = await z.request({
+    method: 'GET',
+    url: url,
+    {{paramsCode}}
+    skipThrowForStatus: true,
+  });
+
+  // Searches return an array of matches: a 404 means nothing was found, not a failed step
+  if (response.status === 404) {
+    return [];
+  }
+  response.throwForStatus();
+
+{{resultsCode}}{{filterCode}}
+
+  return results;
+};
+
+module.exports = {
+  key: '{{key}}',
+  noun: '{{noun}}',
+  display: {
+    label: '{{displayLabel}}',
+    description: '{{description}}',
+  },
+  operation: {
+    inputFields: {{inputFieldsCode}},
+    perform,
+    cleanInputData: false,
+    {{sampleCode}}
+  },
+};
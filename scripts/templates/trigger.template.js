@@ -2,9 +2,10 @@
 // Generated from OpenAPI operation: {{operationId}}
 // Endpoint: {{method}} {{path}}
 
+const { apiUrl } = require('../lib/request');
+
 const perform = async (z, bundle) => {
-  const baseUrl = '{{baseUrl}}';
-  let url = `${baseUrl}{{path}}`;
+  let url = apiUrl(bundle, '{{path}}');
   
   {{pathParamsCode}}
 
@@ -31,7 +32,8 @@ module.exports = {
   operation: {
     inputFields: [{{inputFieldsCode}}],
     perform,
-    cleanInputData: false,
+    cleanInputData: false,{{#if canPaginate}}
+    canPaginate: true,{{/if}}
     {{sampleCode}}
   },
 };
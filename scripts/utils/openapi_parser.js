@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const yaml = require('js-yaml');
+const SwaggerConverter = require('./swagger_converter');
 
 // Use built-in fetch if available (Node 18+), otherwise require node-fetch
 let fetch;
@@ -20,11 +21,27 @@ try {
  * Parse OpenAPI schema and extract endpoint information
  */
 class OpenAPIParser {
-  constructor(schemaPathOrUrl) {
+  /**
+   * @param {string} schemaPathOrUrl - Path or URL of the OpenAPI document
+   * @param {Object} options - Parser options
+   * @param {number} options.maxCircularDepth - How many times a circular $ref is expanded
+   *   again before it is truncated (default 0: stop at the first repeat)
+   */
+  constructor(schemaPathOrUrl, options = {}) {
     this.schemaPathOrUrl = schemaPathOrUrl;
+    this.maxCircularDepth = options.maxCircularDepth !== undefined ? options.maxCircularDepth : 0;
+    // Circular $ref chains found while resolving schemas (e.g., [Category, Category])
+    this.circularRefs = [];
     this.schema = null;
     this.endpoints = [];
     this.version = null;
+    this.openapiVersion = null;
+    this.swaggerVersion = null;
+    // External documents referenced via $ref, keyed by absolute path or URL
+    this.externalDocuments = new Map();
+    // Bundled $ref targets ("location#pointer") mapped to their local pointer
+    this.bundledRefs = new Map();
+    this.bundledDefinitions = {};
   }
 
   /**
@@ -47,13 +64,13 @@ class OpenAPIParser {
    * For URLs, creates a unique filename based on the URL hash
    * For file paths, uses the filename
    */
-  getCachePath() {
-    if (this.isUrl(this.schemaPathOrUrl)) {
+  getCachePath(location = this.schemaPathOrUrl) {
+    if (this.isUrl(location)) {
       // Create a hash of the URL to ensure unique cache files per URL
-      const urlHash = crypto.createHash('md5').update(this.schemaPathOrUrl).digest('hex').substring(0, 8);
+      const urlHash = crypto.createHash('md5').update(location).digest('hex').substring(0, 8);
       // Extract a sanitized domain name for readability
       try {
-        const urlObj = new URL(this.schemaPathOrUrl);
+        const urlObj = new URL(location);
         const domain = urlObj.hostname.replace(/[^a-zA-Z0-9]/g, '_');
         return path.join(this.getCacheDir(), `openapi-${domain}-${urlHash}.yaml`);
       } catch (e) {
@@ -62,7 +79,7 @@ class OpenAPIParser {
       }
     } else {
       // For file paths, use the original filename
-      const basename = path.basename(this.schemaPathOrUrl, path.extname(this.schemaPathOrUrl));
+      const basename = path.basename(location, path.extname(location));
       return path.join(this.getCacheDir(), `${basename}.yaml`);
     }
   }
@@ -96,8 +113,8 @@ class OpenAPIParser {
   /**
    * Load schema from cache if it exists
    */
-  loadFromCache() {
-    const cachePath = this.getCachePath();
+  loadFromCache(location = this.schemaPathOrUrl) {
+    const cachePath = this.getCachePath(location);
     if (fs.existsSync(cachePath)) {
       return fs.readFileSync(cachePath, 'utf8');
     }
@@ -107,57 +124,116 @@ class OpenAPIParser {
   /**
    * Save schema to cache
    */
-  saveToCache(content) {
+  saveToCache(content, location = this.schemaPathOrUrl) {
     this.ensureCacheDir();
-    const cachePath = this.getCachePath();
+    const cachePath = this.getCachePath(location);
     fs.writeFileSync(cachePath, content, 'utf8');
   }
 
   /**
-   * Load and parse the OpenAPI YAML file or URL
+   * Read a document from a URL (using the schema cache) or a file path
    */
-  async load(forceUpdate = false) {
+  async readDocument(location, forceUpdate = false) {
     let content;
 
-    if (this.isUrl(this.schemaPathOrUrl)) {
+    if (this.isUrl(location)) {
       // It's a URL - check cache first unless force update
       if (!forceUpdate) {
-        content = this.loadFromCache();
+        content = this.loadFromCache(location);
       }
 
       // If no cache or force update, fetch from URL
       if (!content || forceUpdate) {
-        content = await this.fetchFromUrl(this.schemaPathOrUrl);
-        this.saveToCache(content);
+        content = await this.fetchFromUrl(location);
+        this.saveToCache(content, location);
       }
     } else {
       // It's a file path
-      if (!fs.existsSync(this.schemaPathOrUrl)) {
-        throw new Error(`OpenAPI schema file not found: ${this.schemaPathOrUrl}`);
+      if (!fs.existsSync(location)) {
+        throw new Error(`OpenAPI schema file not found: ${location}`);
       }
-      content = fs.readFileSync(this.schemaPathOrUrl, 'utf8');
+      content = fs.readFileSync(location, 'utf8');
     }
 
+    return content;
+  }
+
+  /**
+   * Load and parse the OpenAPI YAML file or URL
+   */
+  async load(forceUpdate = false) {
+    const content = await this.readDocument(this.schemaPathOrUrl, forceUpdate);
+
     this.schema = yaml.load(content);
+
+    // Follow relative-file and URL $refs and bundle them into the root document
+    await this.loadExternalDocuments(this.schema, this.getRootLocation(), forceUpdate);
+    if (this.externalDocuments.size > 0) {
+      this.registerComponentRefs();
+      this.schema = this.bundleNode(this.schema, this.getRootLocation(), []);
+      if (Object.keys(this.bundledDefinitions).length > 0) {
+        this.schema['x-bundled'] = this.bundledDefinitions;
+      }
+    }
+
+    // Convert Swagger 2.0 documents so the rest of the generator only sees OpenAPI 3
+    if (SwaggerConverter.isSwagger2(this.schema)) {
+      this.swaggerVersion = String(this.schema.swagger);
+      this.schema = new SwaggerConverter(this.schema).convert();
+    }
     
     // Extract version from schema
     if (this.schema && this.schema.info && this.schema.info.version) {
       this.version = this.schema.info.version;
     }
 
+    // Track the OpenAPI specification version (e.g., "3.0.2", "3.1.0")
+    if (this.schema && this.schema.openapi) {
+      this.openapiVersion = String(this.schema.openapi);
+    }
+
     return this;
   }
 
+  /**
+   * Check if the loaded document is an OpenAPI 3.1.x schema
+   * 3.1 schemas use JSON Schema 2020-12 semantics (type arrays, const, examples arrays, $defs)
+   */
+  isOpenAPI31() {
+    return !!this.openapiVersion && this.openapiVersion.startsWith('3.1');
+  }
+
+  /**
+   * Check if the loaded document was converted from Swagger 2.0
+   */
+  isSwagger2() {
+    return !!this.swaggerVersion;
+  }
+
   /**
    * Resolve $ref references in the schema
+   * External references are bundled into the root document on load,
+   * so only local "#/..." pointers need to be resolved here
    */
   resolveRef(ref) {
     if (!ref || !ref.startsWith('#/')) {
       return null;
     }
 
-    const parts = ref.replace('#/', '').split('/');
-    let current = this.schema;
+    return this.resolvePointer(this.schema, ref.substring(1));
+  }
+
+  /**
+   * Resolve a JSON pointer (e.g., "/components/schemas/User") against a document
+   */
+  resolvePointer(document, pointer) {
+    if (!pointer || pointer === '/') {
+      return document;
+    }
+
+    const parts = pointer.replace(/^\//, '').split('/')
+      .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'));
+    let current = document;
 
     for (const part of parts) {
       if (current && current[part]) {
@@ -170,20 +246,201 @@ class OpenAPIParser {
     return current;
   }
 
+  /**
+   * Get the absolute location of the root document (used to resolve relative refs)
+   */
+  getRootLocation() {
+    return this.isUrl(this.schemaPathOrUrl)
+      ? this.schemaPathOrUrl
+      : path.resolve(this.schemaPathOrUrl);
+  }
+
+  /**
+   * Split a $ref into an absolute document location and a JSON pointer
+   * Local refs ("#/...") resolve against the document that contains them
+   */
+  parseRef(ref, baseLocation) {
+    const hashIndex = ref.indexOf('#');
+    const refPath = hashIndex === -1 ? ref : ref.substring(0, hashIndex);
+    const pointer = hashIndex === -1 ? '' : ref.substring(hashIndex + 1);
+
+    if (!refPath) {
+      return { location: baseLocation, pointer };
+    }
+
+    let location;
+    if (this.isUrl(refPath)) {
+      location = refPath;
+    } else if (this.isUrl(baseLocation)) {
+      location = new URL(refPath, baseLocation).toString();
+    } else {
+      location = path.resolve(path.dirname(baseLocation), refPath);
+    }
+
+    return { location, pointer };
+  }
+
+  /**
+   * Recursively load every external document referenced from a node
+   */
+  async loadExternalDocuments(node, baseLocation, forceUpdate = false) {
+    if (Array.isArray(node)) {
+      for (const item of node) {
+        await this.loadExternalDocuments(item, baseLocation, forceUpdate);
+      }
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    if (typeof node.$ref === 'string' && !node.$ref.startsWith('#')) {
+      const { location } = this.parseRef(node.$ref, baseLocation);
+      if (location !== this.getRootLocation() && !this.externalDocuments.has(location)) {
+        try {
+          const content = await this.readDocument(location, forceUpdate);
+          const document = yaml.load(content);
+          this.externalDocuments.set(location, document);
+          await this.loadExternalDocuments(document, location, forceUpdate);
+        } catch (error) {
+          throw new Error(`Could not load referenced document "${node.$ref}": ${error.message}`);
+        }
+      }
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== '$ref') {
+        await this.loadExternalDocuments(value, baseLocation, forceUpdate);
+      }
+    }
+  }
+
+  /**
+   * Register components that are just an external $ref (e.g., User: { $ref: ./user.yaml })
+   * so every other reference to the same target points at the named component
+   */
+  registerComponentRefs() {
+    const rootLocation = this.getRootLocation();
+    const components = this.schema.components || {};
+    for (const [section, entries] of Object.entries(components)) {
+      for (const [name, entry] of Object.entries(entries || {})) {
+        if (entry && typeof entry.$ref === 'string' && !entry.$ref.startsWith('#')) {
+          const { location, pointer } = this.parseRef(entry.$ref, rootLocation);
+          this.bundledRefs.set(`${location}#${pointer}`, `#/components/${section}/${name}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Rewrite external $refs in a node to local pointers into the root document
+   * Targets are copied once (under "x-bundled") so shared and self-referencing
+   * schemas keep working as references instead of being expanded inline
+   */
+  bundleNode(node, baseLocation, keyPath) {
+    if (Array.isArray(node)) {
+      return node.map((item, index) => this.bundleNode(item, baseLocation, [...keyPath, index]));
+    }
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    const rootLocation = this.getRootLocation();
+
+    if (typeof node.$ref === 'string') {
+      const { location, pointer } = this.parseRef(node.$ref, baseLocation);
+      const { $ref, ...siblings } = node;
+
+      // Local refs in the root document are already valid
+      if (location === rootLocation) {
+        return { ...this.bundleNode(siblings, baseLocation, keyPath), $ref: `#${pointer}` };
+      }
+
+      const document = this.externalDocuments.get(location);
+      const target = document ? this.resolvePointer(document, pointer) : null;
+      if (!target) {
+        return node;
+      }
+
+      const refKey = `${location}#${pointer}`;
+      const isPathItem = keyPath.length === 2 && keyPath[0] === 'paths';
+      const isComponent = baseLocation === rootLocation && keyPath.length === 3 && keyPath[0] === 'components';
+
+      // Path items are inlined (the parser iterates their methods directly), and
+      // components that are just a $ref take the target's place so they can be found by name
+      if (isPathItem || isComponent) {
+        return { ...this.bundleNode(target, location, keyPath), ...siblings };
+      }
+
+      return { ...siblings, $ref: this.bundleTarget(refKey, target, location, pointer) };
+    }
+
+    const bundled = {};
+    for (const [key, value] of Object.entries(node)) {
+      bundled[key] = this.bundleNode(value, baseLocation, [...keyPath, key]);
+    }
+    return bundled;
+  }
+
+  /**
+   * Copy an external $ref target into the root document and return its local pointer
+   */
+  bundleTarget(refKey, target, location, pointer) {
+    if (this.bundledRefs.has(refKey)) {
+      return this.bundledRefs.get(refKey);
+    }
+
+    const container = this.bundledDefinitions;
+
+    // Name the bundled entry after the pointer's last segment or the file name
+    const pointerParts = pointer.split('/').filter(Boolean);
+    const baseName = (pointerParts.length > 0
+      ? pointerParts[pointerParts.length - 1]
+      : path.basename(location, path.extname(location))
+    ).replace(/[^a-zA-Z0-9_-]/g, '_');
+    let name = baseName;
+    let suffix = 2;
+    while (container[name] !== undefined) {
+      name = `${baseName}_${suffix}`;
+      suffix += 1;
+    }
+
+    // Register before recursing so cycles resolve to the same entry
+    const localRef = `#/x-bundled/${name}`;
+    this.bundledRefs.set(refKey, localRef);
+    container[name] = {};
+    container[name] = this.bundleNode(target, location, ['x-bundled', name]);
+
+    return localRef;
+  }
+
   /**
    * Extract all endpoints from the schema
    */
   extractEndpoints() {
-    if (!this.schema || !this.schema.paths) {
+    if (!this.schema) {
+      throw new Error('Schema not loaded or missing paths');
+    }
+
+    // OpenAPI 3.1 makes paths optional (a document may only describe webhooks)
+    if (!this.schema.paths) {
+      if (this.isOpenAPI31()) {
+        this.endpoints = [];
+        return this.endpoints;
+      }
       throw new Error('Schema not loaded or missing paths');
     }
 
     this.endpoints = [];
 
-    for (const [path, methods] of Object.entries(this.schema.paths)) {
+    for (const [path, pathItemOrRef] of Object.entries(this.schema.paths)) {
+      // Path items may themselves be a $ref to a shared path item
+      const methods = pathItemOrRef && pathItemOrRef.$ref
+        ? this.resolveRef(pathItemOrRef.$ref) || {}
+        : pathItemOrRef || {};
       for (const [method, operation] of Object.entries(methods)) {
         if (['get', 'post', 'put', 'patch', 'delete'].includes(method.toLowerCase())) {
-          const endpoint = this.extractEndpoint(path, method, operation);
+          const endpoint = this.extractEndpoint(path, method, operation, methods.parameters || []);
           if (endpoint) {
             this.endpoints.push(endpoint);
           }
@@ -196,8 +453,9 @@ class OpenAPIParser {
 
   /**
    * Extract a single endpoint's information
+   * @param {Array} pathParameters - Parameters declared on the path item (shared by all methods)
    */
-  extractEndpoint(path, method, operation) {
+  extractEndpoint(path, method, operation, pathParameters = []) {
     const endpoint = {
       path,
       method: method.toLowerCase(),
@@ -205,15 +463,164 @@ class OpenAPIParser {
       summary: operation.summary || '',
       description: operation.description || operation.summary || '',
       tags: operation.tags || [],
-      parameters: this.extractParameters(operation.parameters || []),
+      parameters: this.extractParameters(this.mergeParameters(pathParameters, operation.parameters || [])),
       requestBody: this.extractRequestBody(operation.requestBody),
       responses: this.extractResponses(operation.responses || {}),
       security: operation.security || this.schema.security || [],
+      callbacks: this.extractCallbacks(operation.callbacks || {}),
     };
 
     return endpoint;
   }
 
+  /**
+   * Extract operation callbacks (requests the API sends back to a URL the client registered)
+   * Each callback is { name, expression, method, operationId, summary, description, payload }
+   * where expression is the runtime expression for the target URL (e.g., {$request.body#/url})
+   */
+  extractCallbacks(callbacks) {
+    const extracted = [];
+
+    for (const [name, callbackOrRef] of Object.entries(callbacks)) {
+      const callback = this.resolveComponent(callbackOrRef) || {};
+      for (const [expression, pathItem] of Object.entries(callback)) {
+        const hook = this.extractHookOperation(name, pathItem);
+        if (hook) {
+          extracted.push({ ...hook, expression });
+        }
+      }
+    }
+
+    return extracted;
+  }
+
+  /**
+   * Extract OpenAPI 3.1 top-level webhooks (events the API sends without a callback URL in the spec)
+   * Returns [{ name, method, operationId, summary, description, payload }]
+   */
+  extractWebhooks() {
+    const webhooks = [];
+
+    for (const [name, pathItem] of Object.entries(this.schema.webhooks || {})) {
+      const hook = this.extractHookOperation(name, pathItem);
+      if (hook) {
+        webhooks.push(hook);
+      }
+    }
+
+    return webhooks;
+  }
+
+  /**
+   * Extract the operation the API calls for a webhook/callback path item
+   * The payload is the operation's request body (what the API sends to the hook URL)
+   */
+  extractHookOperation(name, pathItemOrRef) {
+    const pathItem = pathItemOrRef && pathItemOrRef.$ref
+      ? this.resolveRef(pathItemOrRef.$ref) || {}
+      : pathItemOrRef || {};
+    const method = ['post', 'put', 'patch', 'get', 'delete'].find(m => pathItem[m]);
+    if (!method) {
+      return null;
+    }
+
+    const operation = pathItem[method];
+    return {
+      name,
+      method,
+      operationId: operation.operationId || name,
+      summary: operation.summary || '',
+      description: operation.description || operation.summary || '',
+      payload: this.extractRequestBody(operation.requestBody),
+    };
+  }
+
+  /**
+   * Merge path-item parameters with operation parameters
+   * Parameters are unique by name + location; operation-level definitions override
+   * path-level ones (OpenAPI semantics). $ref'd parameters are resolved first so
+   * their name and location can be compared.
+   */
+  mergeParameters(pathParameters, operationParameters) {
+    const merged = new Map();
+    const addParameter = (param) => {
+      const resolved = this.resolveParameter(param);
+      if (resolved && resolved.name && resolved.in) {
+        merged.set(`${resolved.in}:${resolved.name}`, resolved);
+      }
+    };
+
+    pathParameters.forEach(addParameter);
+    operationParameters.forEach(addParameter);
+
+    return Array.from(merged.values());
+  }
+
+  /**
+   * Resolve a parameter that may be a $ref to #/components/parameters/...
+   */
+  resolveParameter(param) {
+    return this.resolveComponent(param);
+  }
+
+  /**
+   * Resolve a component reference (parameters, requestBodies, responses, headers, examples)
+   * Follows chains of $refs (a component that is itself a $ref) and returns null
+   * if a reference cannot be resolved or loops back on itself
+   */
+  resolveComponent(component) {
+    let current = component;
+    const seen = new Set();
+
+    while (current && current.$ref) {
+      if (seen.has(current.$ref)) {
+        return null;
+      }
+      seen.add(current.$ref);
+      current = this.resolveRef(current.$ref);
+    }
+
+    return current || null;
+  }
+
+  /**
+   * Resolve an examples map whose entries may be $refs to #/components/examples/...
+   * Falls back to a single "example" value under the "default" key
+   */
+  resolveExamples(examples, example) {
+    if (examples && typeof examples === 'object' && Object.keys(examples).length > 0) {
+      const resolved = {};
+      for (const [name, value] of Object.entries(examples)) {
+        const resolvedExample = this.resolveComponent(value);
+        if (resolvedExample) {
+          resolved[name] = resolvedExample;
+        }
+      }
+      return resolved;
+    }
+    return example ? { default: example } : {};
+  }
+
+  /**
+   * Extract response headers, resolving $refs to #/components/headers/...
+   */
+  extractHeaders(headers) {
+    const extracted = {};
+
+    for (const [name, header] of Object.entries(headers || {})) {
+      const resolved = this.resolveComponent(header);
+      if (resolved) {
+        extracted[name] = {
+          description: resolved.description || '',
+          required: resolved.required || false,
+          schema: this.resolveSchema(resolved.schema || {}),
+        };
+      }
+    }
+
+    return extracted;
+  }
+
   /**
    * Extract parameters (query, path, header)
    */
@@ -225,7 +632,7 @@ class OpenAPIParser {
         required: param.required || false,
         description: param.description || '',
         schema: this.resolveSchema(param.schema || {}),
-        examples: param.examples || (param.example ? { default: param.example } : {}),
+        examples: this.resolveExamples(param.examples, param.example),
       };
 
       return paramData;
@@ -235,26 +642,53 @@ class OpenAPIParser {
   /**
    * Extract request body
    */
-  extractRequestBody(requestBody) {
+  extractRequestBody(requestBodyOrRef) {
+    // Shared request bodies live under #/components/requestBodies/...
+    const requestBody = this.resolveComponent(requestBodyOrRef);
     if (!requestBody) {
       return null;
     }
 
     const content = requestBody.content || {};
-    const jsonContent = content['application/json'];
+    const contentType = this.selectRequestContentType(Object.keys(content));
 
-    if (!jsonContent) {
+    if (!contentType) {
       return null;
     }
 
+    const mediaContent = content[contentType] || {};
     return {
       required: requestBody.required || false,
       description: requestBody.description || '',
-      schema: this.resolveSchema(jsonContent.schema || {}),
-      examples: jsonContent.examples || (jsonContent.example ? { default: jsonContent.example } : {}),
+      contentType: contentType.split(';')[0].trim().toLowerCase(),
+      encoding: mediaContent.encoding || {},
+      schema: this.resolveSchema(mediaContent.schema || {}),
+      examples: this.resolveExamples(mediaContent.examples, mediaContent.example),
     };
   }
 
+  /**
+   * Pick the request body media type the generator can encode
+   * Prefers JSON (including +json types), then form-urlencoded, then multipart
+   */
+  selectRequestContentType(mediaTypes) {
+    const baseType = (mediaType) => mediaType.split(';')[0].trim().toLowerCase();
+    const preferences = [
+      (type) => type === 'application/json',
+      (type) => type.endsWith('+json'),
+      (type) => type === 'application/x-www-form-urlencoded',
+      (type) => type === 'multipart/form-data',
+    ];
+
+    for (const matches of preferences) {
+      const mediaType = mediaTypes.find(type => matches(baseType(type)));
+      if (mediaType) {
+        return mediaType;
+      }
+    }
+    return null;
+  }
+
   /**
    * Extract responses
    */
@@ -262,13 +696,9 @@ class OpenAPIParser {
     const extracted = {};
 
     for (const [statusCode, response] of Object.entries(responses)) {
-      if (response.$ref) {
-        const resolved = this.resolveRef(response.$ref);
-        if (resolved) {
-          extracted[statusCode] = this.extractResponse(resolved);
-        }
-      } else {
-        extracted[statusCode] = this.extractResponse(response);
+      const resolved = this.resolveComponent(response);
+      if (resolved) {
+        extracted[statusCode] = this.extractResponse(resolved);
       }
     }
 
@@ -282,25 +712,61 @@ class OpenAPIParser {
     const content = response.content || {};
     const jsonContent = content['application/json'];
 
+    const headers = this.extractHeaders(response.headers);
+
     if (!jsonContent) {
+      // Files (PDFs, images, application/octet-stream, ...) are returned as binary responses
+      const binaryType = Object.keys(content).find(type => this.isBinaryMediaType(type, content[type]));
+      if (binaryType) {
+        return {
+          description: response.description || '',
+          contentType: binaryType.split(';')[0].trim().toLowerCase(),
+          binary: true,
+          schema: { type: 'string', format: 'binary' },
+          examples: {},
+          headers,
+        };
+      }
+
       return {
         description: response.description || '',
         schema: null,
         examples: {},
+        headers,
       };
     }
 
     return {
       description: response.description || '',
+      contentType: 'application/json',
       schema: this.resolveSchema(jsonContent.schema || {}),
-      examples: jsonContent.examples || (jsonContent.example ? { default: jsonContent.example } : {}),
+      examples: this.resolveExamples(jsonContent.examples, jsonContent.example),
+      headers,
     };
   }
 
+  /**
+   * Check if a response media type carries a file rather than structured data
+   */
+  isBinaryMediaType(mediaType, mediaContent) {
+    const schema = mediaContent && mediaContent.schema ? this.resolveSchema(mediaContent.schema) : null;
+    if (schema && schema.type === 'string' && schema.format === 'binary') {
+      return true;
+    }
+
+    const baseType = mediaType.split(';')[0].trim().toLowerCase();
+    return baseType === 'application/octet-stream'
+      || baseType === 'application/pdf'
+      || baseType === 'application/zip'
+      || /^(image|audio|video)\//.test(baseType);
+  }
+
   /**
    * Resolve schema, handling $ref references
+   * @param {Object} schema - The schema to resolve
+   * @param {string[]} refStack - $refs currently being expanded (used for cycle detection)
    */
-  resolveSchema(schema) {
+  resolveSchema(schema, refStack = []) {
     if (!schema) {
       return null;
     }
@@ -308,16 +774,32 @@ class OpenAPIParser {
     if (schema.$ref) {
       const resolved = this.resolveRef(schema.$ref);
       if (resolved) {
-        return this.resolveSchema(resolved);
+        // Stop expanding self-referencing schemas (e.g., Category.children: Category[])
+        const timesExpanded = refStack.filter(ref => ref === schema.$ref).length;
+        if (timesExpanded > this.maxCircularDepth) {
+          return this.truncateCircularRef(schema.$ref, resolved, refStack);
+        }
+
+        const nextStack = [...refStack, schema.$ref];
+        // OpenAPI 3.1 allows keywords next to $ref (e.g., description) which override the target
+        const { $ref, ...siblings } = schema;
+        if (this.isOpenAPI31() && Object.keys(siblings).length > 0) {
+          return this.resolveSchema({ ...resolved, ...siblings }, nextStack);
+        }
+        return this.resolveSchema(resolved, nextStack);
       }
       return null;
     }
 
+    if (this.isOpenAPI31()) {
+      schema = this.normalizeSchema31(schema);
+    }
+
     // Handle allOf, oneOf, anyOf
     if (schema.allOf) {
       const merged = { type: 'object', properties: {}, required: [] };
       for (const item of schema.allOf) {
-        const resolved = this.resolveSchema(item);
+        const resolved = this.resolveSchema(item, refStack);
         if (resolved) {
           if (resolved.properties) {
             merged.properties = { ...merged.properties, ...resolved.properties };
@@ -331,10 +813,15 @@ class OpenAPIParser {
     }
 
     if (schema.oneOf || schema.anyOf) {
-      // For oneOf/anyOf, we'll use the first option or merge properties
       const options = schema.oneOf || schema.anyOf;
       if (options && options.length > 0) {
-        return this.resolveSchema(options[0]);
+        // Polymorphic objects (e.g., card vs bank payment methods) keep every branch as a variant
+        const variantSchema = this.resolveVariants(schema, options, refStack);
+        if (variantSchema) {
+          return variantSchema;
+        }
+        // Otherwise (e.g., string or integer), use the first option
+        return this.resolveSchema(options[0], refStack);
       }
     }
 
@@ -344,27 +831,220 @@ class OpenAPIParser {
     if (resolved.properties) {
       resolved.properties = {};
       for (const [key, value] of Object.entries(schema.properties)) {
-        resolved.properties[key] = this.resolveSchema(value);
+        resolved.properties[key] = this.resolveSchema(value, refStack);
       }
     }
 
     if (resolved.items) {
-      resolved.items = this.resolveSchema(schema.items);
+      resolved.items = this.resolveSchema(schema.items, refStack);
     }
 
     return resolved;
   }
 
+  /**
+   * Resolve oneOf/anyOf object branches into variants
+   * Returns null unless every branch is an object, so simple unions keep first-branch behavior.
+   *
+   * The result is an object schema whose properties are the union of all branches
+   * (none required) plus:
+   * - x-variants: [{ value, label, schema }] where value is the discriminator value
+   *   (from discriminator.mapping, the component name, or a single-value enum)
+   * - x-discriminator: { propertyName } when the schema declares a discriminator
+   */
+  resolveVariants(schema, options, refStack) {
+    const resolvedOptions = options.map(option => ({
+      ref: option && option.$ref,
+      schema: this.resolveSchema(option, refStack),
+    }));
+
+    const isObjectOption = (option) => option.schema && (option.schema.type === 'object' || option.schema.properties);
+    if (resolvedOptions.length < 2 || !resolvedOptions.every(isObjectOption)) {
+      return null;
+    }
+
+    const discriminator = schema.discriminator || null;
+    const propertyName = discriminator ? discriminator.propertyName : null;
+    const mapping = (discriminator && discriminator.mapping) || {};
+
+    // Properties declared next to oneOf are shared by every variant
+    const sharedProperties = {};
+    for (const [key, value] of Object.entries(schema.properties || {})) {
+      sharedProperties[key] = this.resolveSchema(value, refStack);
+    }
+    const sharedRequired = schema.required || [];
+
+    const usedValues = new Set();
+    const variants = resolvedOptions.map((option, index) => {
+      const refName = option.ref ? option.ref.split('/').pop() : null;
+      const discriminatorSchema = propertyName && option.schema.properties
+        ? option.schema.properties[propertyName]
+        : null;
+
+      let value = Object.keys(mapping).find(key => mapping[key] === option.ref || (refName && mapping[key] === refName));
+      if (!value && discriminatorSchema && Array.isArray(discriminatorSchema.enum) && discriminatorSchema.enum.length === 1) {
+        value = String(discriminatorSchema.enum[0]);
+      }
+      if (!value) {
+        value = refName || option.schema.title || `option_${index + 1}`;
+      }
+      // Keep selector values unique even if two branches resolve to the same name
+      if (usedValues.has(value)) {
+        value = `${value}_${index + 1}`;
+      }
+      usedValues.add(value);
+
+      return {
+        value,
+        label: option.schema.title || value,
+        schema: {
+          ...option.schema,
+          type: 'object',
+          properties: { ...sharedProperties, ...(option.schema.properties || {}) },
+          required: [...sharedRequired, ...(option.schema.required || [])],
+        },
+      };
+    });
+
+    const properties = { ...sharedProperties };
+    variants.forEach(variant => {
+      for (const [key, value] of Object.entries(variant.schema.properties)) {
+        if (!properties[key]) {
+          properties[key] = value;
+        }
+      }
+    });
+
+    const { oneOf, anyOf, discriminator: _discriminator, ...rest } = schema;
+    return {
+      ...rest,
+      type: 'object',
+      properties,
+      required: [],
+      'x-variants': variants,
+      'x-discriminator': propertyName ? { propertyName } : null,
+    };
+  }
+
+  /**
+   * Replace a circular $ref with a shallow placeholder and record the cycle path
+   * The placeholder keeps the target's type and description and is marked with
+   * x-circular-ref so it can be recognized (objects become JSON input fields)
+   */
+  truncateCircularRef(ref, target, refStack) {
+    const cyclePath = [...refStack.slice(refStack.indexOf(ref)), ref];
+    const cycleKey = cyclePath.join(' -> ');
+    if (!this.circularRefs.some(cycle => cycle.join(' -> ') === cycleKey)) {
+      this.circularRefs.push(cyclePath);
+    }
+
+    const placeholder = {
+      type: target.type || 'object',
+      'x-circular-ref': ref,
+    };
+    if (target.description) {
+      placeholder.description = target.description;
+    }
+    return placeholder;
+  }
+
+  /**
+   * Get circular $ref chains detected while resolving schemas
+   */
+  getCircularRefs() {
+    return this.circularRefs;
+  }
+
+  /**
+   * Normalize JSON Schema 2020-12 constructs (OpenAPI 3.1) into the 3.0-style
+   * shape the rest of the generator expects
+   * - type: ["string", "null"] -> type: "string", nullable: true
+   * - const: "x" -> enum: ["x"]
+   * - examples: [...] -> example: first entry
+   * - contentEncoding/contentMediaType -> format: byte/binary
+   */
+  normalizeSchema31(schema) {
+    const normalized = { ...schema };
+
+    if (Array.isArray(normalized.type)) {
+      const types = normalized.type.filter(t => t !== 'null');
+      if (types.length < normalized.type.length) {
+        normalized.nullable = true;
+      }
+      // Zapier fields have a single type, so use the first non-null type
+      normalized.type = types.length > 0 ? types[0] : 'null';
+    }
+
+    if (normalized.const !== undefined && !normalized.enum) {
+      normalized.enum = [normalized.const];
+      delete normalized.const;
+    }
+
+    if (Array.isArray(normalized.examples)) {
+      if (normalized.example === undefined && normalized.examples.length > 0) {
+        normalized.example = normalized.examples[0];
+      }
+      delete normalized.examples;
+    }
+
+    if (normalized.type === 'string' && !normalized.format) {
+      if (normalized.contentEncoding === 'base64') {
+        normalized.format = 'byte';
+      } else if (normalized.contentMediaType === 'application/octet-stream') {
+        normalized.format = 'binary';
+      }
+    }
+
+    return normalized;
+  }
+
   /**
    * Get the base URL from servers
    */
   getBaseUrl() {
-    if (!this.schema || !this.schema.servers || this.schema.servers.length === 0) {
+    const servers = this.getServers();
+    if (servers.length === 0) {
       // If no servers defined, return empty string (relative URLs)
       // This allows the OpenAPI spec to define relative paths
       return '';
     }
-    return this.schema.servers[0].url;
+    return servers[0].url;
+  }
+
+  /**
+   * Get the servers with their variables substituted
+   * Returns [{ url, description }]
+   */
+  getServers() {
+    if (!this.schema || !Array.isArray(this.schema.servers)) {
+      return [];
+    }
+    return this.schema.servers
+      .filter(server => server && server.url)
+      .map(server => ({
+        url: this.substituteServerVariables(server.url, server.variables || {}),
+        description: server.description || '',
+      }));
+  }
+
+  /**
+   * Replace {name} placeholders in a server URL with the variable defaults
+   * A variable without a default (invalid, but common) falls back to its first enum value
+   */
+  substituteServerVariables(url, variables) {
+    return url.replace(/\{([^}]+)\}/g, (match, name) => {
+      const variable = variables[name];
+      if (!variable) {
+        return match;
+      }
+      if (variable.default !== undefined) {
+        return String(variable.default);
+      }
+      if (Array.isArray(variable.enum) && variable.enum.length > 0) {
+        return String(variable.enum[0]);
+      }
+      return match;
+    });
   }
 
   /**
@@ -377,6 +1057,39 @@ class OpenAPIParser {
     return this.schema.components.securitySchemes;
   }
 
+  /**
+   * Get the names of the security schemes required by the top-level `security` list
+   */
+  getGlobalSecuritySchemeNames() {
+    if (!this.schema || !Array.isArray(this.schema.security)) {
+      return [];
+    }
+    return this.schema.security.flatMap(requirement => Object.keys(requirement || {}));
+  }
+
+  /**
+   * Get the OAuth2 authorization code flow of a security scheme
+   * Uses the named scheme, or the first oauth2 scheme with an authorizationCode flow
+   * Returns { schemeName, authorizationUrl, tokenUrl, refreshUrl, scopes } or null
+   */
+  getOAuth2AuthorizationCodeFlow(schemeName = null) {
+    const schemes = this.getSecuritySchemes();
+    const candidates = schemeName ? [[schemeName, schemes[schemeName]]] : Object.entries(schemes);
+    for (const [name, scheme] of candidates) {
+      const flow = scheme && scheme.type === 'oauth2' && scheme.flows ? scheme.flows.authorizationCode : null;
+      if (flow) {
+        return {
+          schemeName: name,
+          authorizationUrl: flow.authorizationUrl || null,
+          tokenUrl: flow.tokenUrl || null,
+          refreshUrl: flow.refreshUrl || null,
+          scopes: Object.keys(flow.scopes || {}),
+        };
+      }
+    }
+    return null;
+  }
+
   /**
    * Get all schemas from components
    */
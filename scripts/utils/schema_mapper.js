@@ -50,6 +50,10 @@ class SchemaMapper {
       } else if (schema.format === 'date-time') {
         // Use datetime type for date-time fields (full ISO 8601 datetime)
         field.type = 'datetime';
+      } else if (schema.format === 'binary' || schema.format === 'byte') {
+        // File contents (raw or base64-encoded) use Zapier file fields
+        // Zapier passes files as URLs; the generated perform downloads them
+        field.type = 'file';
       } else if (schema.enum) {
         field.type = 'string';
         // Zapier expects choices as a simple array of strings
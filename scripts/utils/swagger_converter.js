@@ -0,0 +1,424 @@
+/**
+ * Convert Swagger 2.0 documents into the OpenAPI 3 shape used by OpenAPIParser
+ *
+ * Only the parts of the document the generator reads are converted:
+ * servers, paths (parameters, request bodies, responses), components and security.
+ */
+class SwaggerConverter {
+  constructor(swagger) {
+    this.swagger = swagger || {};
+  }
+
+  /**
+   * Check if a parsed document is a Swagger 2.0 document
+   */
+  static isSwagger2(document) {
+    return !!document && String(document.swagger || '').startsWith('2');
+  }
+
+  /**
+   * Convert the Swagger 2.0 document to an OpenAPI 3.0 document
+   */
+  convert() {
+    const swagger = this.swagger;
+    const openapi = {
+      openapi: '3.0.3',
+      info: swagger.info || {},
+      servers: this.convertServers(),
+      paths: {},
+      components: this.convertComponents(),
+    };
+
+    if (swagger.security) {
+      openapi.security = swagger.security;
+    }
+    if (swagger.tags) {
+      openapi.tags = swagger.tags;
+    }
+    this.copyExtensions(swagger, openapi);
+
+    for (const [pathName, pathItem] of Object.entries(swagger.paths || {})) {
+      openapi.paths[pathName] = this.convertPathItem(pathItem || {});
+    }
+
+    // Point all remaining references at their OpenAPI 3 locations
+    return this.rewriteRefs(openapi);
+  }
+
+  /**
+   * Build servers from host, basePath and schemes
+   */
+  convertServers() {
+    const { host, basePath = '', schemes } = this.swagger;
+    if (!host) {
+      // Without a host, only a relative base path can be expressed
+      return basePath ? [{ url: basePath }] : [];
+    }
+
+    const serverSchemes = Array.isArray(schemes) && schemes.length > 0 ? schemes : ['https'];
+    return serverSchemes.map(scheme => ({ url: `${scheme}://${host}${basePath}` }));
+  }
+
+  /**
+   * Convert definitions, shared parameters, responses and securityDefinitions
+   */
+  convertComponents() {
+    const swagger = this.swagger;
+    const components = {};
+
+    if (swagger.definitions) {
+      components.schemas = swagger.definitions;
+    }
+
+    if (swagger.parameters) {
+      components.parameters = {};
+      components.requestBodies = {};
+      for (const [name, param] of Object.entries(swagger.parameters)) {
+        if (param.in === 'body') {
+          // Body parameters become reusable request bodies
+          components.requestBodies[name] = this.convertBodyParameter(param, this.swagger.consumes);
+        } else if (param.in !== 'formData') {
+          components.parameters[name] = this.convertParameter(param);
+        }
+      }
+    }
+
+    if (swagger.responses) {
+      components.responses = {};
+      for (const [name, response] of Object.entries(swagger.responses)) {
+        components.responses[name] = this.convertResponse(response, this.swagger.produces);
+      }
+    }
+
+    if (swagger.securityDefinitions) {
+      components.securitySchemes = {};
+      for (const [name, scheme] of Object.entries(swagger.securityDefinitions)) {
+        components.securitySchemes[name] = this.convertSecurityScheme(scheme);
+      }
+    }
+
+    return components;
+  }
+
+  /**
+   * Convert a path item (path-level parameters and each operation)
+   */
+  convertPathItem(pathItem) {
+    const converted = {};
+    const pathParameters = (pathItem.parameters || []).map(param => this.dereferenceParameter(param));
+
+    for (const [key, value] of Object.entries(pathItem)) {
+      if (key === 'parameters') {
+        // Body/formData parameters are merged into each operation's request body
+        const nonBodyParams = pathParameters.filter(p => p.in !== 'body' && p.in !== 'formData');
+        if (nonBodyParams.length > 0) {
+          converted.parameters = nonBodyParams.map(p => this.convertParameter(p));
+        }
+      } else if (['get', 'put', 'post', 'delete', 'options', 'head', 'patch'].includes(key)) {
+        converted[key] = this.convertOperation(value || {}, pathParameters);
+      } else {
+        converted[key] = value;
+      }
+    }
+
+    return converted;
+  }
+
+  /**
+   * Convert a single operation
+   */
+  convertOperation(operation, pathParameters = []) {
+    const { parameters, responses, consumes, produces, schemes, ...rest } = operation;
+    const converted = { ...rest };
+    const operationConsumes = consumes || this.swagger.consumes;
+    const operationProduces = produces || this.swagger.produces;
+
+    const operationParameters = (parameters || []).map(param => this.dereferenceParameter(param));
+    const bodyParam = operationParameters.find(p => p.in === 'body')
+      || pathParameters.find(p => p.in === 'body');
+
+    // Operation-level formData parameters override path-level ones with the same name
+    const formParams = operationParameters.filter(p => p.in === 'formData');
+    pathParameters.filter(p => p.in === 'formData').forEach(param => {
+      if (!formParams.some(p => p.name === param.name)) {
+        formParams.push(param);
+      }
+    });
+
+    const otherParams = operationParameters.filter(p => p.in !== 'body' && p.in !== 'formData');
+    if (otherParams.length > 0) {
+      converted.parameters = otherParams.map(p => this.convertParameter(p));
+    }
+
+    if (bodyParam) {
+      converted.requestBody = this.convertBodyParameter(bodyParam, operationConsumes);
+    } else if (formParams.length > 0) {
+      converted.requestBody = this.convertFormParameters(formParams, operationConsumes);
+    }
+
+    converted.responses = {};
+    for (const [statusCode, response] of Object.entries(responses || {})) {
+      converted.responses[statusCode] = response && response.$ref
+        ? response
+        : this.convertResponse(response || {}, operationProduces);
+    }
+
+    return converted;
+  }
+
+  /**
+   * Resolve a "#/parameters/..." reference so shared parameters are inlined
+   * (body and formData parameters have to be inspected to build the request body)
+   */
+  dereferenceParameter(param) {
+    if (param && param.$ref && param.$ref.startsWith('#/parameters/')) {
+      const name = param.$ref.replace('#/parameters/', '');
+      const resolved = (this.swagger.parameters || {})[name];
+      return resolved || param;
+    }
+    return param;
+  }
+
+  /**
+   * Convert a non-body parameter (query, path, header)
+   * Swagger 2.0 puts type information directly on the parameter
+   */
+  convertParameter(param) {
+    if (param.$ref) {
+      return { $ref: param.$ref };
+    }
+
+    const { name, in: location, required, description, ...schemaProps } = param;
+    const converted = {
+      name,
+      in: location,
+      required: required || location === 'path',
+    };
+    if (description) {
+      converted.description = description;
+    }
+    if (schemaProps['x-example'] !== undefined) {
+      converted.example = schemaProps['x-example'];
+    }
+    converted.schema = this.convertSimpleSchema(schemaProps);
+    return converted;
+  }
+
+  /**
+   * Convert an "in: body" parameter to a requestBody
+   */
+  convertBodyParameter(param, consumes) {
+    const mediaTypes = Array.isArray(consumes) && consumes.length > 0 ? consumes : ['application/json'];
+    const content = {};
+    mediaTypes.forEach(mediaType => {
+      content[mediaType] = { schema: param.schema || {} };
+      if (param['x-examples'] && param['x-examples'][mediaType] !== undefined) {
+        content[mediaType].example = param['x-examples'][mediaType];
+      }
+    });
+
+    const requestBody = {
+      content,
+      required: param.required || false,
+    };
+    if (param.description) {
+      requestBody.description = param.description;
+    }
+    return requestBody;
+  }
+
+  /**
+   * Convert "in: formData" parameters to a form requestBody
+   * Uses multipart/form-data when a file is present or when the operation consumes it
+   */
+  convertFormParameters(params, consumes) {
+    const properties = {};
+    const required = [];
+    params.forEach(param => {
+      const { name, in: location, required: isRequired, description, ...schemaProps } = param;
+      properties[name] = this.convertSimpleSchema(schemaProps);
+      if (description) {
+        properties[name].description = description;
+      }
+      if (isRequired) {
+        required.push(name);
+      }
+    });
+
+    const hasFile = params.some(p => p.type === 'file');
+    const consumesList = Array.isArray(consumes) ? consumes : [];
+    let mediaType = 'application/x-www-form-urlencoded';
+    if (hasFile || consumesList.includes('multipart/form-data')) {
+      mediaType = 'multipart/form-data';
+    }
+
+    const schema = { type: 'object', properties };
+    if (required.length > 0) {
+      schema.required = required;
+    }
+
+    return {
+      content: { [mediaType]: { schema } },
+      required: required.length > 0,
+    };
+  }
+
+  /**
+   * Convert type/format/items/enum on a parameter into a schema
+   */
+  convertSimpleSchema(props) {
+    const schemaKeys = [
+      'type', 'format', 'items', 'enum', 'default', 'minimum', 'maximum',
+      'exclusiveMinimum', 'exclusiveMaximum', 'minLength', 'maxLength',
+      'pattern', 'minItems', 'maxItems', 'uniqueItems', 'multipleOf',
+    ];
+    const schema = {};
+    schemaKeys.forEach(key => {
+      if (props[key] !== undefined) {
+        schema[key] = props[key];
+      }
+    });
+
+    if (schema.type === 'file') {
+      schema.type = 'string';
+      schema.format = 'binary';
+    }
+    if (schema.items) {
+      schema.items = this.convertSimpleSchema(schema.items);
+    }
+    return schema;
+  }
+
+  /**
+   * Convert a response (schema + examples keyed by mime type)
+   */
+  convertResponse(response, produces) {
+    if (response.$ref) {
+      return response;
+    }
+
+    const converted = { description: response.description || '' };
+
+    if (response.schema) {
+      const mediaTypes = Array.isArray(produces) && produces.length > 0 ? produces : ['application/json'];
+      converted.content = {};
+      mediaTypes.forEach(mediaType => {
+        const schema = response.schema.type === 'file'
+          ? { type: 'string', format: 'binary' }
+          : response.schema;
+        converted.content[mediaType] = { schema };
+        if (response.examples && response.examples[mediaType] !== undefined) {
+          converted.content[mediaType].example = response.examples[mediaType];
+        }
+      });
+    }
+
+    if (response.headers) {
+      converted.headers = {};
+      for (const [name, header] of Object.entries(response.headers)) {
+        const { description, ...schemaProps } = header;
+        converted.headers[name] = { schema: this.convertSimpleSchema(schemaProps) };
+        if (description) {
+          converted.headers[name].description = description;
+        }
+      }
+    }
+
+    return converted;
+  }
+
+  /**
+   * Convert a securityDefinitions entry to a securitySchemes entry
+   */
+  convertSecurityScheme(scheme) {
+    if (scheme.type === 'basic') {
+      return { type: 'http', scheme: 'basic', description: scheme.description };
+    }
+
+    if (scheme.type === 'oauth2') {
+      const flowNames = {
+        implicit: 'implicit',
+        password: 'password',
+        application: 'clientCredentials',
+        accessCode: 'authorizationCode',
+      };
+      const flow = { scopes: scheme.scopes || {} };
+      if (scheme.authorizationUrl) {
+        flow.authorizationUrl = scheme.authorizationUrl;
+      }
+      if (scheme.tokenUrl) {
+        flow.tokenUrl = scheme.tokenUrl;
+      }
+      return {
+        type: 'oauth2',
+        description: scheme.description,
+        flows: { [flowNames[scheme.flow] || scheme.flow]: flow },
+      };
+    }
+
+    // apiKey is unchanged between versions
+    return { ...scheme };
+  }
+
+  /**
+   * Copy vendor extensions (x-*) from one object to another
+   */
+  copyExtensions(source, target) {
+    Object.keys(source).forEach(key => {
+      if (key.startsWith('x-')) {
+        target[key] = source[key];
+      }
+    });
+  }
+
+  /**
+   * Rewrite one Swagger 2.0 $ref pointer to its OpenAPI 3 component pointer
+   * Body parameters became requestBodies (see convertComponents), and their schema moved
+   * under the first media type, e.g. #/parameters/Pet/schema -> #/components/requestBodies/Pet/content/application~1json/schema
+   */
+  rewriteRef(ref) {
+    const parameterMatch = ref.match(/^#\/parameters\/([^/]+)(.*)$/);
+    if (parameterMatch) {
+      const [, nameToken, rest] = parameterMatch;
+      const name = nameToken.replace(/~1/g, '/').replace(/~0/g, '~');
+      const param = (this.swagger.parameters || {})[name];
+      if (param && param.in === 'body') {
+        const consumes = Array.isArray(this.swagger.consumes) && this.swagger.consumes.length > 0
+          ? this.swagger.consumes
+          : ['application/json'];
+        const mediaTypeToken = consumes[0].replace(/~/g, '~0').replace(/\//g, '~1');
+        return `#/components/requestBodies/${nameToken}${rest.replace(/^\/schema(?=\/|$)/, `/content/${mediaTypeToken}/schema`)}`;
+      }
+    }
+    return ref
+      .replace(/^#\/definitions\//, '#/components/schemas/')
+      .replace(/^#\/parameters\//, '#/components/parameters/')
+      .replace(/^#\/responses\//, '#/components/responses/');
+  }
+
+  /**
+   * Recursively rewrite Swagger 2.0 $ref pointers to OpenAPI 3 component pointers
+   */
+  rewriteRefs(node) {
+    if (Array.isArray(node)) {
+      return node.map(item => this.rewriteRefs(item));
+    }
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    const rewritten = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '$ref' && typeof value === 'string') {
+        rewritten[key] = this.rewriteRef(value);
+      } else if (key === 'x-nullable') {
+        rewritten.nullable = value;
+      } else {
+        rewritten[key] = this.rewriteRefs(value);
+      }
+    }
+    return rewritten;
+  }
+}
+
+module.exports = SwaggerConverter;
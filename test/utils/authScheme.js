@@ -0,0 +1,36 @@
+const should = require('should');
+// Resolve the generator from the actual file location (test/utils/), like the generated-app tests
+const path = require('path');
+const OpenAPIParser = require(path.resolve(__dirname, '../../scripts/utils/openapi_parser'));
+const { resolveAuthScheme } = require(path.resolve(__dirname, '../../scripts/generate_zapier_from_openapi'));
+
+const fixturePath = path.resolve(__dirname, '../fixtures/petstore_auth.yaml');
+
+describe('resolveAuthScheme', () => {
+  let parser;
+
+  before(async () => {
+    parser = await new OpenAPIParser(fixturePath).load();
+  });
+
+  it('should skip an implicit-only oauth2 scheme when picking one automatically', () => {
+    const auth = resolveAuthScheme({}, parser);
+    auth.should.eql({ type: 'custom', placement: 'header', fieldKey: 'api_key', paramName: 'api_key', schemeName: 'api_key' });
+  });
+
+  it('should use an oauth2 scheme with an authorizationCode flow', () => {
+    const auth = resolveAuthScheme({ securityScheme: 'code_auth' }, parser);
+    auth.type.should.eql('oauth2');
+    auth.fieldKey.should.eql('access_token');
+  });
+
+  it('should honor authType "session" without reading the schemes', () => {
+    const auth = resolveAuthScheme({ authType: 'session', session: { tokenHeader: 'X-Session' } }, parser);
+    auth.should.eql({ type: 'session', placement: 'header', fieldKey: 'sessionKey', paramName: 'X-Session', schemeName: null });
+  });
+
+  it('should fall back to a Bearer token without security schemes', () => {
+    const auth = resolveAuthScheme({ fieldKey: 'token' }, { getSecuritySchemes: () => ({}), getGlobalSecuritySchemeNames: () => [] });
+    auth.should.eql({ type: 'custom', placement: 'bearer', fieldKey: 'token', paramName: null, schemeName: null });
+  });
+});
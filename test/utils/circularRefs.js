@@ -0,0 +1,49 @@
+const should = require('should');
+// Resolve the generator from the actual file location (test/utils/), like the generated-app tests
+const path = require('path');
+const OpenAPIParser = require(path.resolve(__dirname, '../../scripts/utils/openapi_parser'));
+
+const fixturePath = path.resolve(__dirname, '../fixtures/circular_refs.yaml');
+const categoryRef = '#/components/schemas/Category';
+const employeeRef = '#/components/schemas/Employee';
+const departmentRef = '#/components/schemas/Department';
+
+describe('Circular $ref truncation', () => {
+  it('should truncate a self reference at the first repeat by default', async () => {
+    const parser = await new OpenAPIParser(fixturePath).load();
+    const category = parser.resolveSchema({ $ref: categoryRef });
+
+    category.properties.name.type.should.eql('string');
+    category.properties.children.items.should.eql({
+      type: 'object',
+      'x-circular-ref': categoryRef,
+      description: 'A category with subcategories',
+    });
+    parser.getCircularRefs().should.eql([[categoryRef, categoryRef]]);
+  });
+
+  it('should expand a self reference once more with maxCircularDepth 1', async () => {
+    const parser = await new OpenAPIParser(fixturePath, { maxCircularDepth: 1 }).load();
+    const category = parser.resolveSchema({ $ref: categoryRef });
+
+    const child = category.properties.children.items;
+    should.not.exist(child['x-circular-ref']);
+    child.properties.children.items['x-circular-ref'].should.eql(categoryRef);
+  });
+
+  it('should record the whole path of an indirect cycle', async () => {
+    const parser = await new OpenAPIParser(fixturePath).load();
+    const employee = parser.resolveSchema({ $ref: employeeRef });
+
+    employee.properties.department.properties.head['x-circular-ref'].should.eql(employeeRef);
+    parser.getCircularRefs().should.eql([[employeeRef, departmentRef, employeeRef]]);
+  });
+
+  it('should record each cycle once', async () => {
+    const parser = await new OpenAPIParser(fixturePath).load();
+    parser.resolveSchema({ $ref: categoryRef });
+    parser.resolveSchema({ $ref: categoryRef });
+
+    parser.getCircularRefs().should.have.length(1);
+  });
+});
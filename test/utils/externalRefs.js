@@ -0,0 +1,44 @@
+const should = require('should');
+// Resolve the generator from the actual file location (test/utils/), like the generated-app tests
+const path = require('path');
+const OpenAPIParser = require(path.resolve(__dirname, '../../scripts/utils/openapi_parser'));
+
+const fixturePath = path.resolve(__dirname, '../fixtures/external_refs.yaml');
+
+describe('External $ref bundling', () => {
+  let parser;
+
+  before(async () => {
+    parser = await new OpenAPIParser(fixturePath).load();
+  });
+
+  it('should point refs to a target registered as a component at that component', () => {
+    const getUser = parser.schema.paths['/users/{id}'].get;
+    getUser.responses['200'].content['application/json'].schema.$ref.should.eql('#/components/schemas/User');
+  });
+
+  it('should put the target in place of a component that is just a $ref', () => {
+    const user = parser.schema.components.schemas.User;
+    should.not.exist(user.$ref);
+    user.properties.name.type.should.eql('string');
+  });
+
+  it('should keep self references as local refs', () => {
+    parser.schema.components.schemas.User.properties.manager.$ref.should.eql('#/components/schemas/User');
+  });
+
+  it('should copy other targets under x-bundled', () => {
+    parser.schema.components.schemas.User.properties.address.$ref.should.eql('#/x-bundled/Address');
+    parser.schema['x-bundled'].Address.properties.city.type.should.eql('string');
+  });
+
+  it('should inline external path items', () => {
+    const operationIds = parser.extractEndpoints().map(endpoint => endpoint.operationId);
+    operationIds.should.containDeep(['getUser', 'listTeams']);
+  });
+
+  it('should resolve external parameters', () => {
+    const getUser = parser.extractEndpoints().find(endpoint => endpoint.operationId === 'getUser');
+    getUser.parameters.map(param => param.name).should.eql(['id']);
+  });
+});
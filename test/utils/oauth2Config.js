@@ -0,0 +1,43 @@
+const should = require('should');
+// Resolve the generator from the actual file location (test/utils/), like the generated-app tests
+const path = require('path');
+const OpenAPIParser = require(path.resolve(__dirname, '../../scripts/utils/openapi_parser'));
+const { resolveOAuth2Config } = require(path.resolve(__dirname, '../../scripts/generate_zapier_from_openapi'));
+
+const fixturePath = path.resolve(__dirname, '../fixtures/petstore_auth.yaml');
+
+describe('resolveOAuth2Config', () => {
+  let parser;
+
+  before(async () => {
+    parser = await new OpenAPIParser(fixturePath).load();
+  });
+
+  it('should read the authorizationCode flow and resolve its URLs against the base URL', () => {
+    // Like any relative reference, "/oauth/token" replaces the base URL's path
+    const oauth2 = resolveOAuth2Config({}, parser, 'https://petstore.example.com/api/v3');
+    oauth2.should.eql({
+      schemeName: 'code_auth',
+      authorizationUrl: 'https://petstore.example.com/oauth/authorize',
+      tokenUrl: 'https://petstore.example.com/oauth/token',
+      refreshUrl: 'https://petstore.example.com/oauth/token',
+      scope: 'read write',
+    });
+  });
+
+  it('should prefer the URLs and scopes from the config', () => {
+    const oauth2 = resolveOAuth2Config({
+      tokenUrl: 'https://auth.example.com/token',
+      refreshUrl: '/refresh',
+      scopes: ['read'],
+    }, parser, 'https://petstore.example.com');
+    oauth2.tokenUrl.should.eql('https://auth.example.com/token');
+    oauth2.refreshUrl.should.eql('https://petstore.example.com/refresh');
+    oauth2.scope.should.eql('read');
+  });
+
+  it('should join URLs to a base URL that references auth fields without encoding them', () => {
+    const oauth2 = resolveOAuth2Config({}, parser, 'https://{{bundle.authData.subdomain}}.example.com/');
+    oauth2.tokenUrl.should.eql('https://{{bundle.authData.subdomain}}.example.com/oauth/token');
+  });
+});
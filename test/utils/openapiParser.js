@@ -0,0 +1,41 @@
+const should = require('should');
+// Resolve the generator from the actual file location (test/utils/), like the generated-app tests
+const path = require('path');
+const OpenAPIParser = require(path.resolve(__dirname, '../../scripts/utils/openapi_parser'));
+
+const fixturePath = path.resolve(__dirname, '../fixtures/openapi31.yaml');
+
+describe('OpenAPI 3.1 schema normalization', () => {
+  let properties;
+
+  before(async () => {
+    const parser = await new OpenAPIParser(fixturePath).load();
+    parser.isOpenAPI31().should.be.true();
+    const createNote = parser.extractEndpoints().find(endpoint => endpoint.operationId === 'createNote');
+    properties = createNote.requestBody.schema.properties;
+  });
+
+  it('should turn a type array with null into a nullable single type', () => {
+    properties.title.type.should.eql('string');
+    properties.title.nullable.should.be.true();
+  });
+
+  it('should use the first non-null type of a type array', () => {
+    properties.priority.type.should.eql('integer');
+    should.not.exist(properties.priority.nullable);
+  });
+
+  it('should turn const into a single-value enum', () => {
+    properties.kind.enum.should.eql(['note']);
+    should.not.exist(properties.kind.const);
+  });
+
+  it('should use the first of the examples as the example', () => {
+    properties.title.example.should.eql('Groceries');
+    should.not.exist(properties.title.examples);
+  });
+
+  it('should map contentEncoding base64 to format byte', () => {
+    properties.attachment.format.should.eql('byte');
+  });
+});
@@ -0,0 +1,154 @@
+const should = require('should');
+// Resolve the generator from the actual file location (test/utils/), like the generated-app tests
+const path = require('path');
+const { detectPaginationStrategy, generatePaginationLoopCode } = require(path.resolve(__dirname, '../../scripts/generate_zapier_from_openapi'));
+
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+
+// Run a generated pagination loop against canned pages and record the requests it made
+const runLoop = async (pagination, pages) => {
+  const requests = [];
+  const z = {
+    console: { log: () => {} },
+    request: async (request) => {
+      requests.push(request);
+      const page = pages[requests.length - 1] || { json: { items: [] } };
+      const headers = page.headers || {};
+      return { json: page.json, headers: { get: name => headers[name] || null } };
+    },
+  };
+  const code = generatePaginationLoopCode(pagination, { method: 'GET', pageResultsCode: 'response.json.items' });
+  const results = await new AsyncFunction('z', 'url', 'params', `${code}\n  return results;`)(
+    z, 'https://api.example.com/items', { status: 'open' });
+  return { results, requests };
+};
+
+// detectPaginationStrategy reads parameter names and response headers from extracted endpoints
+const queryParams = (...names) => names.map(name => ({ name, in: 'query' }));
+
+describe('detectPaginationStrategy', () => {
+  it('should prefer a documented Link response header', () => {
+    const response = { headers: { Link: { description: 'Next page' } } };
+    detectPaginationStrategy(queryParams('limit', 'offset'), response).should.eql('link');
+  });
+
+  it('should match the Link header case-insensitively', () => {
+    detectPaginationStrategy([], { headers: { link: {} } }).should.eql('link');
+  });
+
+  it('should detect offset pagination from limit and offset params', () => {
+    detectPaginationStrategy(queryParams('limit', 'offset'), {}).should.eql('offset');
+  });
+
+  it('should detect page pagination from page and a page size param', () => {
+    detectPaginationStrategy(queryParams('page', 'per_page'), {}).should.eql('page');
+    detectPaginationStrategy(queryParams('page', 'pageSize'), {}).should.eql('page');
+  });
+
+  it('should not guess from a page param alone', () => {
+    should.not.exist(detectPaginationStrategy(queryParams('page'), {}));
+  });
+
+  it('should return null without pagination params or a response', () => {
+    should.not.exist(detectPaginationStrategy(queryParams('status'), null));
+  });
+});
+
+describe('Cursor pagination loop', () => {
+  it('should follow the cursor at cursorPath until it is empty', async () => {
+    const { results, requests } = await runLoop({ strategy: 'cursor', cursorParam: 'starting_after', cursorPath: 'meta.next_cursor' }, [
+      { json: { items: [{ id: 1 }], meta: { next_cursor: 'c1' } } },
+      { json: { items: [{ id: 2 }], meta: { next_cursor: null } } },
+    ]);
+
+    results.map(item => item.id).should.eql([1, 2]);
+    requests.map(request => request.params).should.eql([
+      { status: 'open' },
+      { status: 'open', starting_after: 'c1' },
+    ]);
+  });
+
+  it('should use the last item id as the cursor without a cursorPath', async () => {
+    const { results, requests } = await runLoop({ strategy: 'cursor', cursorParam: 'after' }, [
+      { json: { items: [{ id: 1 }, { id: 2 }] } },
+      { json: { items: [] } },
+    ]);
+
+    results.map(item => item.id).should.eql([1, 2]);
+    requests[1].params.after.should.eql(2);
+  });
+
+  it('should stop when hasMorePath is not true', async () => {
+    const { requests } = await runLoop({ strategy: 'cursor', cursorParam: 'cursor', cursorPath: 'next', hasMorePath: 'has_more' }, [
+      { json: { items: [{ id: 1 }], next: 'c1', has_more: false } },
+    ]);
+
+    requests.should.have.length(1);
+  });
+
+  it('should stop when the API repeats the current cursor', async () => {
+    const { requests } = await runLoop({ strategy: 'cursor', cursorParam: 'cursor', cursorPath: 'next' }, [
+      { json: { items: [{ id: 1 }], next: 'c1' } },
+      { json: { items: [{ id: 2 }], next: 'c1' } },
+    ]);
+
+    requests.should.have.length(2);
+  });
+
+  it('should send the page size on every request', async () => {
+    const { requests } = await runLoop({ strategy: 'cursor', cursorParam: 'cursor', cursorPath: 'next', pageSizeParam: 'page-size', pageSize: 25 }, [
+      { json: { items: [{ id: 1 }], next: 'c1' } },
+      { json: { items: [{ id: 2 }] } },
+    ]);
+
+    requests.map(request => request.params['page-size']).should.eql([25, 25]);
+    should.not.exist(requests[0].params.cursor);
+  });
+});
+
+describe('Link header pagination loop', () => {
+  it('should follow rel="next" URLs and send the query params only once', async () => {
+    const { results, requests } = await runLoop({ strategy: 'link', pageSizeParam: 'per_page' }, [
+      { json: { items: [{ id: 1 }] }, headers: { link: '<https://api.example.com/items?page=2>; rel="next", <https://api.example.com/items?page=3>; rel="last"' } },
+      { json: { items: [{ id: 2 }] }, headers: { link: '</items?page=3>; rel="next"' } },
+      { json: { items: [{ id: 3 }] } },
+    ]);
+
+    results.map(item => item.id).should.eql([1, 2, 3]);
+    requests.map(request => request.url).should.eql([
+      'https://api.example.com/items',
+      'https://api.example.com/items?page=2',
+      'https://api.example.com/items?page=3',
+    ]);
+    requests.map(request => request.params).should.eql([{ status: 'open', per_page: 100 }, {}, {}]);
+  });
+});
+
+describe('Page number pagination loop', () => {
+  it('should stop at the total pages reported by the API', async () => {
+    const { requests } = await runLoop({ strategy: 'page', pageParam: 'page', totalPagesPath: 'meta.total_pages' }, [
+      { json: { items: [{ id: 1 }], meta: { total_pages: 2 } } },
+      { json: { items: [{ id: 2 }], meta: { total_pages: 2 } } },
+    ]);
+
+    requests.map(request => request.params.page).should.eql([1, 2]);
+  });
+
+  it('should stop after a short page with a page size param', async () => {
+    const { results, requests } = await runLoop({ strategy: 'page', pageParam: 'page', pageSizeParam: 'per_page', pageSize: 2 }, [
+      { json: { items: [{ id: 1 }, { id: 2 }] } },
+      { json: { items: [{ id: 3 }] } },
+    ]);
+
+    results.should.have.length(3);
+    requests.should.have.length(2);
+  });
+
+  it('should start at firstPage', async () => {
+    const { requests } = await runLoop({ strategy: 'page', pageParam: 'p', firstPage: 0 }, [
+      { json: { items: [{ id: 1 }] } },
+    ]);
+
+    requests.map(request => request.params.p).should.eql([0, 1]);
+  });
+});
@@ -0,0 +1,39 @@
+const should = require('should');
+// Resolve the generator from the actual file location (test/utils/), like the generated-app tests
+const path = require('path');
+const OpenAPIParser = require(path.resolve(__dirname, '../../scripts/utils/openapi_parser'));
+
+const fixturePath = path.resolve(__dirname, '../fixtures/path_parameters.yaml');
+
+describe('Path-level parameter merge', () => {
+  let endpoints;
+
+  before(async () => {
+    const parser = await new OpenAPIParser(fixturePath).load();
+    endpoints = parser.extractEndpoints();
+  });
+
+  const findEndpoint = operationId => endpoints.find(endpoint => endpoint.operationId === operationId);
+
+  it('should add path-level parameters to every operation', () => {
+    findEndpoint('listInvoices').parameters.find(param => param.name === 'account_id').required.should.be.true();
+    findEndpoint('createInvoice').parameters.find(param => param.name === 'account_id').required.should.be.true();
+  });
+
+  it('should let an operation parameter override a $ref path-level one with the same name and location', () => {
+    const limits = findEndpoint('listInvoices').parameters.filter(param => param.name === 'limit');
+    limits.should.have.length(1);
+    limits[0].description.should.eql('Page size for invoices');
+    limits[0].schema.maximum.should.eql(50);
+  });
+
+  it('should keep parameters with the same name in different locations', () => {
+    const limits = findEndpoint('createInvoice').parameters.filter(param => param.name === 'limit');
+    limits.map(param => param.in).should.eql(['query', 'header']);
+    limits[0].description.should.eql('Page size');
+  });
+
+  it('should list path-level parameters before operation parameters', () => {
+    findEndpoint('listInvoices').parameters.map(param => param.name).should.eql(['account_id', 'limit', 'status']);
+  });
+});
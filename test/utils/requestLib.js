@@ -0,0 +1,91 @@
+const should = require('should');
+// Resolve the generator from the actual file location (test/utils/), like the generated-app tests
+const path = require('path');
+const { generateRequestLib } = require(path.resolve(__dirname, '../../scripts/generate_zapier_from_openapi'));
+const CodeGenerator = require(path.resolve(__dirname, '../../scripts/utils/code_generator'));
+
+const apiKeyAuth = { type: 'custom', placement: 'header', fieldKey: 'api_key', paramName: 'X-API-Key', schemeName: 'api_key' };
+
+// Generate lib/request.js and load it as a module
+const loadRequestLib = (baseUrl, authConfig = { auth: apiKeyAuth }) => {
+  const code = generateRequestLib(baseUrl, new CodeGenerator(), authConfig);
+  const module = { exports: {} };
+  new Function('module', 'exports', 'require', code)(module, module.exports, require);
+  return module.exports;
+};
+
+const newRequest = url => ({ url, headers: {}, params: {} });
+
+describe('Generated lib/request.js', () => {
+  const bundle = { authData: { api_key: 'secret' } };
+
+  describe('isApiUrl', () => {
+    const { isApiUrl } = loadRequestLib('https://api.example.com/v1');
+
+    it('should match URLs at or below the base path', () => {
+      isApiUrl('https://api.example.com/v1', bundle).should.be.true();
+      isApiUrl('https://api.example.com/v1/items?page=2', bundle).should.be.true();
+    });
+
+    it('should not match a path that only starts with the base path', () => {
+      isApiUrl('https://api.example.com/v10/items', bundle).should.be.false();
+    });
+
+    it('should not match other origins', () => {
+      isApiUrl('https://files.example.com/v1/report.pdf', bundle).should.be.false();
+      isApiUrl('http://api.example.com/v1/items', bundle).should.be.false();
+    });
+
+    it('should match everything on the origin when the base URL has no path', () => {
+      const lib = loadRequestLib('https://api.example.com/');
+      lib.isApiUrl('https://api.example.com/items', bundle).should.be.true();
+    });
+
+    it('should match nothing when the base URL is empty or relative', () => {
+      const lib = loadRequestLib('{{bundle.authData.baseUrl}}');
+      lib.isApiUrl('https://api.example.com/v1/items', bundle).should.be.false();
+      lib.isApiUrl('https://api.example.com/v1/items', { authData: { baseUrl: '/v1' } }).should.be.false();
+    });
+
+    it('should use the base URL from authData', () => {
+      const lib = loadRequestLib('{{bundle.authData.baseUrl}}');
+      lib.isApiUrl('https://eu.example.com/v1/items', { authData: { baseUrl: 'https://eu.example.com/v1' } }).should.be.true();
+    });
+
+    it('should fall back to the default server URL for connections without one', () => {
+      const lib = loadRequestLib('{{bundle.authData.baseUrl}}', { auth: apiKeyAuth, defaultServerUrl: 'https://api.example.com/v1' });
+      lib.getBaseUrl(bundle).should.eql('https://api.example.com/v1');
+      lib.isApiUrl('https://api.example.com/v1/items', bundle).should.be.true();
+    });
+  });
+
+  describe('prepareRequest', () => {
+    const { prepareRequest } = loadRequestLib('https://api.example.com/v1');
+
+    it('should add JSON encoding and credentials to API requests', () => {
+      const request = prepareRequest(newRequest('https://api.example.com/v1/items'), {}, bundle);
+      request.headers.should.eql({ 'Content-Type': 'application/json', 'X-API-Key': 'secret' });
+    });
+
+    it('should leave requests to other hosts untouched', () => {
+      const request = prepareRequest(newRequest('https://files.example.com/report.pdf'), {}, bundle);
+      request.headers.should.eql({});
+    });
+
+    it('should keep a content type picked by the request', () => {
+      const request = newRequest('https://api.example.com/v1/items');
+      request.headers['content-type'] = 'multipart/form-data';
+      prepareRequest(request, {}, bundle).headers.should.eql({ 'content-type': 'multipart/form-data', 'X-API-Key': 'secret' });
+    });
+
+    it('should not overwrite a credential header set by the request', () => {
+      const request = newRequest('https://api.example.com/v1/items');
+      request.headers['X-API-Key'] = 'other';
+      prepareRequest(request, {}, bundle).headers['X-API-Key'].should.eql('other');
+    });
+
+    it('should leave requests without a URL untouched', () => {
+      prepareRequest({ headers: {} }, {}, bundle).should.eql({ headers: {} });
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const should = require('should');
+// Resolve the generator from the actual file location (test/utils/), like the generated-app tests
+const path = require('path');
+const OpenAPIParser = require(path.resolve(__dirname, '../../scripts/utils/openapi_parser'));
+const SwaggerConverter = require(path.resolve(__dirname, '../../scripts/utils/swagger_converter'));
+
+const fixturePath = path.resolve(__dirname, '../fixtures/swagger2.yaml');
+
+describe('Swagger 2.0 conversion', () => {
+  let parser;
+  let endpoints;
+
+  before(async () => {
+    parser = await new OpenAPIParser(fixturePath).load();
+    endpoints = parser.extractEndpoints();
+  });
+
+  const findEndpoint = (operationId) => endpoints.find(endpoint => endpoint.operationId === operationId);
+
+  it('should convert the document to OpenAPI 3', () => {
+    parser.isSwagger2().should.be.true();
+    parser.schema.openapi.should.startWith('3.');
+    parser.getBaseUrl().should.eql('https://api.example.com/v1');
+  });
+
+  it('should move definitions, parameters and body parameters into components', () => {
+    const components = parser.schema.components;
+    should.exist(components.schemas.Pet);
+    should.exist(components.parameters.limitParam);
+    should.not.exist(components.parameters.PetBody);
+    components.requestBodies.PetBody.required.should.be.true();
+    components.securitySchemes.apiKey.should.eql({ type: 'apiKey', in: 'header', name: 'X-API-Key' });
+  });
+
+  it('should resolve shared query parameters', () => {
+    const param = findEndpoint('listPets').parameters.find(p => p.name === 'limit');
+    should.exist(param);
+    param.in.should.eql('query');
+    param.schema.type.should.eql('integer');
+  });
+
+  it('should turn a referenced body parameter into the request body', () => {
+    const requestBody = findEndpoint('createPet').requestBody;
+    requestBody.contentType.should.eql('application/json');
+    requestBody.required.should.be.true();
+    requestBody.schema.properties.should.have.keys('id', 'name', 'tag');
+    requestBody.schema.properties.tag.nullable.should.be.true();
+  });
+
+  it('should rewrite refs into body parameters to requestBodies', () => {
+    const converter = new SwaggerConverter({
+      swagger: '2.0',
+      parameters: { PetBody: { in: 'body', schema: {} }, limitParam: { in: 'query' } },
+    });
+    converter.rewriteRef('#/parameters/PetBody').should.eql('#/components/requestBodies/PetBody');
+    converter.rewriteRef('#/parameters/PetBody/schema').should.eql('#/components/requestBodies/PetBody/content/application~1json/schema');
+    converter.rewriteRef('#/parameters/limitParam').should.eql('#/components/parameters/limitParam');
+
+    // setOwner's body schema points into PetBody's schema
+    const requestBody = findEndpoint('setOwner').requestBody;
+    requestBody.schema.properties.should.have.keys('id', 'name', 'tag');
+  });
+
+  it('should convert formData parameters to a multipart request body', () => {
+    const requestBody = findEndpoint('uploadPhoto').requestBody;
+    requestBody.contentType.should.eql('multipart/form-data');
+    requestBody.schema.properties.file.format.should.eql('binary');
+    requestBody.schema.required.should.eql(['file']);
+  });
+
+  it('should convert response schemas', () => {
+    const response = findEndpoint('listPets').responses['200'];
+    response.schema.type.should.eql('array');
+    response.schema.items.properties.should.have.keys('id', 'name', 'tag');
+  });
+});